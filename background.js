@@ -3,10 +3,40 @@
  * Handles extension lifecycle and message routing
  */
 
-// Default colors for different environments
-const ENVIRONMENT_COLORS = {
-    development: '#28a745', // Green
-    staging: '#e60076', // Pink
+importScripts(
+    'scripts/detector.js',
+    'scripts/settings.js',
+    'scripts/permissions.js'
+)
+
+/**
+ * Content scripts, registered on the sites granted by the user
+ */
+const CONTENT_SCRIPT = {
+    id: 'wp-env-indicator',
+    js: [
+        'scripts/detector.js',
+        'scripts/settings.js',
+        'scripts/projects.js',
+        'scripts/overlay.js',
+        'scripts/tab.js',
+        'scripts/safeguard.js',
+        'scripts/stack.js',
+        'scripts/debug.js',
+        'scripts/scan.js',
+        'scripts/content.js',
+    ],
+    css: ['styles.css'],
+}
+
+/**
+ * REST API index configuration
+ */
+const REST_INDEX = {
+    // Cached summaries are refreshed after an hour
+    maxAge: 60 * 60 * 1000,
+    timeout: 5000,
+    coreNamespace: /^(?:wp|wp-[a-z-]+|oembed)\//,
 }
 
 /**
@@ -27,6 +57,131 @@ chrome.runtime.onInstalled.addListener(function (details) {
         version: '0.1',
         installedAt: new Date().toISOString(),
     })
+
+    // Sync the settings saved on this machine by previous versions
+    WPEnvSettings.migrate().catch(function (error) {
+        console.log('Settings could not be migrated:', error.message)
+    })
+
+    // Pages opened before the install never got the content scripts
+    registerContentScripts()
+        .then(WPEnvPermissions.getGranted)
+        .then(injectIntoOpenTabs)
+        .catch(function (error) {
+            console.log(
+                'Content scripts could not be registered:',
+                error.message
+            )
+        })
+})
+
+/**
+ * Registers the content scripts on the sites granted by the user, or
+ * unregisters them when no site is granted
+ * Registered scripts persist across browser sessions
+ *
+ * @returns {Promise<void>}
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+async function registerContentScripts() {
+    const [matches, registered] = await Promise.all([
+        WPEnvPermissions.getGranted(),
+        chrome.scripting.getRegisteredContentScripts({
+            ids: [CONTENT_SCRIPT.id],
+        }),
+    ])
+
+    if (matches.length === 0) {
+        if (registered.length) {
+            await chrome.scripting.unregisterContentScripts({
+                ids: [CONTENT_SCRIPT.id],
+            })
+        }
+        return
+    }
+
+    const script = { ...CONTENT_SCRIPT, matches }
+    if (registered.length) {
+        await chrome.scripting.updateContentScripts([script])
+    } else {
+        await chrome.scripting.registerContentScripts([script])
+    }
+}
+
+/**
+ * Injects the content scripts into the open tabs of the given sites
+ * Tabs already running them are skipped, so the listeners and observers of
+ * every module are set up once per document
+ *
+ * @param {Array<string>} origins The match patterns of the sites
+ * @returns {Promise<void>}
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+async function injectIntoOpenTabs(origins) {
+    if (!origins || origins.length === 0) {
+        return
+    }
+    const tabs = await chrome.tabs.query({ url: origins })
+
+    for (const tab of tabs) {
+        const target = { tabId: tab.id }
+        chrome.scripting
+            .executeScript({
+                target,
+                // Set by content.js, the last script of the bundle
+                func: () => Boolean(window.wpEnvIndicatorLoaded),
+            })
+            .then(([injection]) => {
+                if (injection && injection.result) {
+                    return
+                }
+                return chrome.scripting
+                    .executeScript({ target, files: CONTENT_SCRIPT.js })
+                    .then(() =>
+                        chrome.scripting.insertCSS({
+                            target,
+                            files: CONTENT_SCRIPT.css,
+                        })
+                    )
+            })
+            .catch((error) => {
+                // Restricted pages (Web Store, error pages) cannot be scripted
+                console.log('Content script injection skipped:', error.message)
+            })
+    }
+}
+
+/**
+ * Follows the sites granted from the popup or the browser settings
+ *
+ * @param {Object} permissions The added permissions
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+chrome.permissions.onAdded.addListener(function (permissions) {
+    registerContentScripts()
+        .then(() => injectIntoOpenTabs(permissions.origins))
+        .catch(function (error) {
+            console.log(
+                'Content scripts could not be registered:',
+                error.message
+            )
+        })
+})
+
+/**
+ * Stops running on the sites revoked by the user
+ * Pages already open keep their badge until they are reloaded
+ *
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+chrome.permissions.onRemoved.addListener(function () {
+    registerContentScripts().catch(function (error) {
+        console.log('Content scripts could not be registered:', error.message)
+    })
 })
 
 /**
@@ -46,6 +201,15 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
             break
 
         case 'environmentUpdated':
+            // Remember the meta tag type so the toolbar badge agrees
+            if (sender.tab) {
+                setDeclaredEnvironment(sender.tab.id, {
+                    meta: request.declaredType || null,
+                }).then(() =>
+                    updateExtensionBadge(sender.tab.id, sender.tab.url)
+                )
+            }
+
             // Forward environment update to popup if it's open
             chrome.runtime.sendMessage({
                 action: 'environmentUpdated',
@@ -53,6 +217,27 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
             })
             break
 
+        case 'getRestIndex':
+            // The popup asks for the REST index advertised by the page
+            getRestIndex(request.url)
+                .then(sendResponse)
+                .catch((error) => sendResponse({ error: error.message }))
+            break
+
+        case 'getRobotsHeader':
+            // Content scripts ask for the X-Robots-Tag of their page
+            getRobotsHeader(sender.tab ? sender.tab.id : request.tabId).then(
+                sendResponse
+            )
+            break
+
+        case 'getDeclaredEnvironment':
+            // Content scripts ask for their own tab, the popup names it
+            getDeclaredEnvironment(
+                sender.tab ? sender.tab.id : request.tabId
+            ).then(sendResponse)
+            break
+
         default:
             console.log('Unknown message action:', request.action)
     }
@@ -61,65 +246,147 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
 })
 
 /**
- * Detects environment from URL
+ * Returns the storage key of the environment declared in a tab
  *
- * @param {string} url The URL to analyze
- * @returns {Object|null} Environment object or null
- * @since 0.1
+ * @param {number} tabId The tab ID
+ * @returns {string} The session storage key
+ */
+function getDeclaredEnvironmentKey(tabId) {
+    return `declaredEnvironment:${tabId}`
+}
+
+/**
+ * Gets the environment type declared by the page of a tab
+ * The meta tag wins over the response header
+ *
+ * @param {number} tabId The tab ID
+ * @returns {Promise<string|null>} The declared environment type or null
+ * @since 0.2
  * @author Raphael Sanchez <hello@raphaelsanchez.design>
  */
-function detectEnvironmentFromUrl(url) {
-    try {
-        const hostname = new URL(url).hostname.toLowerCase()
-
-        // Development environment detection patterns
-        const developmentPatterns = [
-            {
-                patterns: ['localhost', '127.'],
-                matcher: (host, pattern) =>
-                    host === pattern || host.startsWith(pattern),
-            },
-            {
-                patterns: ['.dev', '.test', '.local'],
-                matcher: (host, pattern) => host.endsWith(pattern),
-            },
-        ]
-        // Staging environment detection patterns
-        const stagingPatterns = [
-            {
-                patterns: ['staging', 'stage', 'preview', 'demo', 'test'],
-                matcher: (host, pattern) => pattern.test(host),
-            },
-        ]
-
-        // Development environment detection
-        for (const { patterns, matcher } of developmentPatterns) {
-            if (patterns.some((pattern) => matcher(hostname, pattern))) {
-                return {
-                    type: 'development',
-                    name: 'Development',
-                    color: patterns.includes('.dev')
-                        ? '#4f39f6'
-                        : ENVIRONMENT_COLORS.development,
-                }
-            }
-        }
+async function getDeclaredEnvironment(tabId) {
+    const key = getDeclaredEnvironmentKey(tabId)
+    const { [key]: declared } = await chrome.storage.session.get(key)
+    return declared ? declared.meta || declared.header || null : null
+}
 
-        // Check for staging patterns
-        for (const { patterns, matcher } of stagingPatterns) {
-            if (patterns.some((pattern) => matcher(hostname, pattern))) {
-                return {
-                    type: 'staging',
-                    name: 'Staging',
-                    color: ENVIRONMENT_COLORS.staging,
-                }
-            }
-        }
+/**
+ * Stores the environment type declared by the page of a tab
+ * Kept in session storage as the service worker can be stopped at any time
+ *
+ * @param {number} tabId The tab ID
+ * @param {Object} values The `header` and/or `meta` declared types
+ * @param {boolean} [reset] Whether to forget the previous page values
+ * @returns {Promise<void>}
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+async function setDeclaredEnvironment(tabId, values, reset = false) {
+    const key = getDeclaredEnvironmentKey(tabId)
+    const { [key]: previous } = reset
+        ? {}
+        : await chrome.storage.session.get(key)
+    await chrome.storage.session.set({ [key]: { ...previous, ...values } })
+}
 
-        return null // No environment detected
-    } catch (error) {
-        return null // Invalid URL
+/**
+ * Returns the storage key of the X-Robots-Tag header of a tab
+ *
+ * @param {number} tabId The tab ID
+ * @returns {string} The session storage key
+ */
+function getRobotsHeaderKey(tabId) {
+    return `robotsHeader:${tabId}`
+}
+
+/**
+ * Gets the X-Robots-Tag header sent with the page of a tab
+ *
+ * @param {number} tabId The tab ID
+ * @returns {Promise<string|null>} The header value or null
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+async function getRobotsHeader(tabId) {
+    const key = getRobotsHeaderKey(tabId)
+    const { [key]: header } = await chrome.storage.session.get(key)
+    return header || null
+}
+
+/**
+ * Returns the storage key of the REST index cached for an origin
+ *
+ * @param {string} origin The site origin
+ * @returns {string} The session storage key
+ */
+function getRestIndexKey(origin) {
+    return `restIndex:${origin}`
+}
+
+/**
+ * Keeps the REST index fields shown in the popup
+ *
+ * @param {Object} index The REST index returned by WordPress
+ * @returns {Object} The site name, description, home URL, timezone and
+ * core and plugin namespaces
+ */
+function summarizeRestIndex(index) {
+    const namespaces = Array.isArray(index.namespaces) ? index.namespaces : []
+    let timezone = index.timezone_string || null
+    if (!timezone && typeof index.gmt_offset !== 'undefined') {
+        const offset = Number(index.gmt_offset)
+        timezone = `UTC${offset >= 0 ? '+' : ''}${offset}`
+    }
+
+    return {
+        name: index.name || null,
+        description: index.description || null,
+        home: index.home || index.url || null,
+        timezone,
+        namespaces: namespaces.filter((namespace) =>
+            REST_INDEX.coreNamespace.test(namespace)
+        ),
+        pluginNamespaces: namespaces.filter(
+            (namespace) => !REST_INDEX.coreNamespace.test(namespace)
+        ),
+    }
+}
+
+/**
+ * Fetches the REST API index of a site, cached per origin
+ * Fetched by the service worker so the page CORS policy does not apply
+ *
+ * @param {string} url The REST index URL advertised by the page
+ * @returns {Promise<Object>} The summary of the REST index
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+async function getRestIndex(url) {
+    const restUrl = new URL(url)
+    if (restUrl.protocol !== 'http:' && restUrl.protocol !== 'https:') {
+        throw new Error(`Unsupported REST API URL: ${url}`)
+    }
+
+    const key = getRestIndexKey(restUrl.origin)
+    const { [key]: cached } = await chrome.storage.session.get(key)
+    if (cached && Date.now() - cached.fetchedAt < REST_INDEX.maxAge) {
+        return cached.summary
     }
+
+    const response = await fetch(restUrl.href, {
+        credentials: 'omit',
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(REST_INDEX.timeout),
+    })
+    if (!response.ok) {
+        throw new Error(`REST API responded with HTTP ${response.status}`)
+    }
+
+    const summary = summarizeRestIndex(await response.json())
+    await chrome.storage.session.set({
+        [key]: { summary, fetchedAt: Date.now() },
+    })
+    return summary
 }
 
 /**
@@ -132,21 +399,33 @@ function detectEnvironmentFromUrl(url) {
  */
 async function updateExtensionBadge(tabId, url) {
     try {
-        const environment = detectEnvironmentFromUrl(url)
+        const [settings, declaredType] = await Promise.all([
+            WPEnvSettings.load(),
+            getDeclaredEnvironment(tabId),
+        ])
+        const environment = WPEnvDetector.detectEnvironmentFromUrl(
+            url,
+            settings,
+            { declaredType }
+        )
 
         if (environment) {
             // Set badge for detected environment
-            chrome.action.setBadgeText({ tabId, text: 'env' })
+            chrome.action.setBadgeText({ tabId, text: environment.badgeText })
             chrome.action.setBadgeBackgroundColor({
                 tabId,
                 color: environment.color,
             })
+            chrome.action.setBadgeTextColor({
+                tabId,
+                color: environment.textColor,
+            })
             chrome.action.setTitle({
                 tabId,
                 title: `WordPress Environment Indicator - ${environment.name} detected`,
             })
         } else {
-            // Clear badge for production or non-WordPress sites
+            // Clear badge for undetected or non-WordPress sites
             chrome.action.setBadgeText({ tabId, text: '' })
             chrome.action.setTitle({
                 tabId,
@@ -170,23 +449,62 @@ async function updateExtensionBadge(tabId, url) {
  */
 chrome.tabs.onUpdated.addListener(function (tabId, changeInfo, tab) {
     // Only process when page is completely loaded
+    // Registered content scripts run once per document of the granted sites
     if (changeInfo.status === 'complete' && tab.url) {
         // Update badge based on URL
         updateExtensionBadge(tabId, tab.url)
-
-        // Inject content script on all pages - it will handle WordPress detection
-        chrome.scripting
-            .executeScript({
-                target: { tabId: tabId },
-                files: ['scripts/content.js'],
-            })
-            .catch((error) => {
-                // Script might already be injected, ignore error
-                console.log('Content script injection skipped:', error.message)
-            })
     }
 })
 
+/**
+ * Reads the environment type sent in the response header of each page
+ *
+ * @param {Object} details The response details
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+chrome.webRequest.onHeadersReceived.addListener(
+    function (details) {
+        if (details.tabId < 0) {
+            return // Not loaded in a tab (prerender, service worker...)
+        }
+
+        const header = (details.responseHeaders || []).find(
+            ({ name }) =>
+                name.toLowerCase() === WPEnvDetector.CONFIG.declared.headerName
+        )
+        setDeclaredEnvironment(
+            details.tabId,
+            { header: header ? header.value : null },
+            true
+        )
+
+        // Several X-Robots-Tag headers may be sent, WordPress adds one too
+        const robots = (details.responseHeaders || [])
+            .filter(({ name }) => name.toLowerCase() === 'x-robots-tag')
+            .map(({ value }) => value)
+        chrome.storage.session.set({
+            [getRobotsHeaderKey(details.tabId)]: robots.join(', ') || null,
+        })
+    },
+    { urls: ['*://*/*'], types: ['main_frame'] },
+    ['responseHeaders']
+)
+
+/**
+ * Forgets the declared environment of closed tabs
+ *
+ * @param {number} tabId The tab ID
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+chrome.tabs.onRemoved.addListener(function (tabId) {
+    chrome.storage.session.remove([
+        getDeclaredEnvironmentKey(tabId),
+        getRobotsHeaderKey(tabId),
+    ])
+})
+
 /**
  * Handles tab activation changes
  *
@@ -201,6 +519,22 @@ chrome.tabs.onActivated.addListener(async function (activeInfo) {
     }
 })
 
+/**
+ * Refreshes the badge of every tab when the settings change, whether edited,
+ * synced from another browser or pushed by a policy
+ *
+ * @since 0.2
+ * @author Raphael Sanchez <hello@raphaelsanchez.design>
+ */
+WPEnvSettings.onChanged(async function () {
+    const tabs = await chrome.tabs.query({})
+    for (const tab of tabs) {
+        if (tab.url) {
+            updateExtensionBadge(tab.id, tab.url)
+        }
+    }
+})
+
 /**
  * Handles extension icon click
  *
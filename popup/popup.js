@@ -14,44 +14,57 @@
         wpVersion: document.getElementById('wp-version'),
         wpLanguage: document.getElementById('wp-language'),
         currentTheme: document.getElementById('current-theme'),
+        wpMultisite: document.getElementById('wp-multisite'),
+        wpRobots: document.getElementById('wp-robots'),
+        rest: document.getElementById('rest'),
+        restGrid: document.getElementById('rest-grid'),
+        restStatus: document.getElementById('rest-status'),
+        stack: document.getElementById('stack'),
+        stackGrid: document.getElementById('stack-grid'),
+        stackPlugins: document.getElementById('stack-plugins'),
+        stackEmpty: document.getElementById('stack-empty'),
+        scan: document.getElementById('scan'),
+        scanStart: document.getElementById('scan-start'),
+        scanResults: document.getElementById('scan-results'),
+        debug: document.getElementById('debug'),
+        debugList: document.getElementById('debug-list'),
+        debugEmpty: document.getElementById('debug-empty'),
+        pageWarnings: document.getElementById('page-warnings'),
+        access: document.getElementById('access'),
+        accessEnable: document.getElementById('access-enable'),
+        trace: document.getElementById('trace'),
+        traceSteps: document.getElementById('trace-steps'),
+        traceMethods: document.getElementById('trace-methods'),
+        siblings: document.getElementById('siblings'),
+        siblingsList: document.getElementById('siblings-list'),
+        siblingsNewTab: document.getElementById('siblings-new-tab'),
         tabButtons: document.querySelectorAll('.tabs__button'),
         tabPanels: document.querySelectorAll('.tabs__panel'),
     }
 
-    // Environment data
-    let currentEnvironment = null
+    // Labels of the technology categories, in display order
+    const STACK_CATEGORIES = {
+        builder: 'Constructeur :',
+        commerce: 'E-commerce :',
+        cache: 'Cache :',
+        cdn: 'CDN :',
+    }
 
-    /**
-     * Environment configuration constants
-     */
-    const ENVIRONMENT_CONFIG = {
-        development: {
-            type: 'development',
-            name: 'Development',
-            color: '#28a745',
-        },
-        staging: {
-            type: 'staging',
-            name: 'Staging',
-            color: '#ffc107',
-        },
+    // Labels of the detector checks, in detection order
+    const TRACE_CHECKS = {
+        declared: 'Type déclaré par le site (meta ou en-tête)',
+        rule: 'Règles personnalisées',
+        production: 'Sites de production',
+        local: 'Hôte local (isLocalDevelopment)',
+        tld: 'TLD de développement (isDevelopmentTLD)',
+        staging: 'Motifs Staging (isStagingEnvironment)',
     }
 
-    /**
-     * Development TLD patterns
-     */
-    const DEVELOPMENT_TLDS = ['.dev', '.test', '.local']
+    // Environment data
+    let currentEnvironment = null
 
-    /**
-     * Staging hostname patterns
-     */
-    const STAGING_PATTERNS = [
-        /staging/i,
-        /stage/i,
-        /preview/i,
-        /demo/i,
-        /test/i,
-    ]
+    // Match pattern of the active tab site, while it is not granted
+    let accessPattern = null
 
     /**
      * Initializes the popup
@@ -97,6 +110,17 @@
                 switchTab(this.dataset.tab)
             })
         })
+
+        // Sibling environment links target
+        elements.siblingsNewTab.addEventListener('change', function () {
+            WPEnvSettings.save({ openLinksInNewTab: this.checked })
+        })
+
+        // Cross-environment URL scan
+        elements.scanStart.addEventListener('click', scanEnvironmentUrls)
+
+        // Site access, requested straight from the click
+        elements.accessEnable.addEventListener('click', enableOnSite)
     }
 
     /**
@@ -135,14 +159,55 @@
             { active: true, currentWindow: true },
             function (tabs) {
                 if (tabs[0] && tabs[0].url) {
-                    detectEnvironmentInPopup(tabs[0].url)
+                    detectEnvironmentInPopup(tabs[0].url, tabs[0].id)
+                    renderAccess(tabs[0].url)
                 } else {
                     showNoDataState()
+                    elements.access.hidden = true
                 }
             }
         )
     }
 
+    /**
+     * Shows the "enable on this site" button when the site of the active
+     * tab is not granted
+     *
+     * @param {string} url The URL of the tab
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function renderAccess(url) {
+        const pattern = WPEnvPermissions.getOriginPattern(url)
+        const granted = pattern ? await WPEnvPermissions.isGranted(url) : true
+
+        accessPattern = granted ? null : pattern
+        elements.access.hidden = granted
+    }
+
+    /**
+     * Asks to grant the site of the active tab
+     * The service worker injects the content scripts once it is granted
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function enableOnSite() {
+        if (!accessPattern) {
+            return
+        }
+
+        WPEnvPermissions.request([accessPattern])
+            .then((granted) => {
+                if (granted) {
+                    loadEnvironmentData()
+                }
+            })
+            .catch((error) => {
+                console.log('Site access request failed:', error.message)
+            })
+    }
+
     /**
      * Updates the environment display
      *
@@ -156,8 +221,12 @@
         }
 
         // Update environment card
-        elements.environmentCard.className = `environment__card environment__card--${currentEnvironment.type}`
+        elements.environmentCard.className = `environment__card environment__card--detected environment__card--${currentEnvironment.type}`
         elements.environmentIndicator.className = `environment__indicator environment__indicator--${currentEnvironment.type}`
+        elements.environmentCard.style.setProperty(
+            '--environment-color',
+            currentEnvironment.color
+        )
         elements.environmentName.textContent = currentEnvironment.name
 
         // Detect WordPress version and language
@@ -172,12 +241,21 @@
      */
     function showNoDataState() {
         elements.environmentCard.className = 'environment__card'
+        elements.environmentCard.style.removeProperty('--environment-color')
         elements.environmentIndicator.className = 'environment__indicator'
         elements.environmentName.textContent = 'Aucune donnée'
 
         elements.wpVersion.textContent = '-'
         elements.wpLanguage.textContent = '-'
         elements.currentTheme.textContent = '-'
+        elements.wpMultisite.textContent = '-'
+        elements.wpRobots.textContent = '-'
+        elements.rest.hidden = true
+        elements.stack.hidden = true
+        elements.scan.hidden = true
+        elements.debug.hidden = true
+        elements.pageWarnings.hidden = true
+        elements.trace.hidden = true
     }
 
     /**
@@ -233,241 +311,516 @@
     }
 
     /**
-     * Extracts WordPress version from generator meta tag
+     * Update WordPress info elements in popup
      *
-     * @returns {string} WordPress version or default value
+     * @param {Object} wpInfo WordPress information object
+     * @since 0.1
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function getVersionFromGenerator() {
-        const generator = document.querySelector(
-            CONFIG.wordpress.selectors.generator
+    function updateWordPressInfoElements(wpInfo) {
+        elements.wpVersion.textContent = wpInfo.version || '-'
+        elements.wpLanguage.textContent = wpInfo.language || '-'
+        elements.currentTheme.textContent = wpInfo.theme || '-'
+        elements.wpMultisite.textContent = formatMultisiteInfo(wpInfo.multisite)
+        elements.wpMultisite.classList.toggle(
+            'info__value--network',
+            Boolean(wpInfo.multisite && wpInfo.multisite.isNetworkAdmin)
         )
-        if (generator && generator.content.includes('WordPress')) {
-            const match = generator.content.match(
-                CONFIG.wordpress.patterns.version.generator
-            )
-            if (match) {
-                return match[1]
-            }
-        }
-        return CONFIG.wordpress.defaults.version
+        elements.wpRobots.textContent = formatRobotsInfo(wpInfo.robots)
+        loadRestIndex(wpInfo.restUrl)
+        renderStack(wpInfo.stack)
+        // Only the content script can scan the page, its answers carry the stack
+        elements.scan.hidden = !wpInfo.stack
+        renderDebug(wpInfo.debug)
+        renderWarnings(wpInfo.warnings)
+        renderTrace(wpInfo.detection)
     }
 
     /**
-     * Extracts WordPress version from script sources
+     * Creates an item of the detection trace
      *
-     * @returns {string} WordPress version or default value
+     * @param {boolean} matched Whether the check matched
+     * @param {string} label The check label
+     * @param {string} [detail] What the check matched or considered
+     * @returns {HTMLElement} The list item
      */
-    function getVersionFromScripts() {
-        const scripts = document.querySelectorAll(
-            CONFIG.wordpress.selectors.scripts
-        )
-        for (const script of scripts) {
-            const match = script.src.match(
-                CONFIG.wordpress.patterns.version.script
-            )
-            if (match) {
-                return match[1]
-            }
+    function createTraceItem(matched, label, detail) {
+        const item = document.createElement('li')
+        item.className = `trace__item${matched ? ' trace__item--matched' : ''}`
+        item.textContent = `${matched ? '✓' : '✗'} ${label}`
+
+        if (detail) {
+            const code = document.createElement('code')
+            code.className = 'trace__detail'
+            code.textContent = detail
+            item.append(' : ', code)
         }
-        return CONFIG.wordpress.defaults.version
+        return item
     }
 
     /**
-     * Gets WordPress version using multiple detection methods
+     * Describes what a detector check matched or considered
      *
-     * @returns {string} WordPress version
+     * @param {Object} step The detector step
+     * @returns {string} The description, empty if nothing to show
      */
-    function getWordPressVersion() {
-        const generatorVersion = getVersionFromGenerator()
-        if (generatorVersion !== CONFIG.wordpress.defaults.version) {
-            return generatorVersion
+    function describeTraceStep(step) {
+        if (step.check === 'rule' && step.rule) {
+            return `${step.rule.match} « ${step.rule.pattern} » → ${step.rule.environment} (${step.value})`
+        }
+        if (step.excludedBy) {
+            return `${step.value}, exclu par ${step.excludedBy}`
         }
-        return getVersionFromScripts()
+        return step.value || ''
     }
 
     /**
-     * Extracts language from HTML element attributes
+     * Renders why the environment was detected
      *
-     * @returns {string} Language code or default value
+     * @param {Object} [detection] The detection trace of the content script
      */
-    function getWordPressLanguage() {
-        const html = document.documentElement
-        return (
-            html.getAttribute('lang') ||
-            html.getAttribute('xml:lang') ||
-            CONFIG.wordpress.defaults.language
+    function renderTrace(detection) {
+        elements.trace.hidden = !detection
+        if (!detection) {
+            return
+        }
+
+        const steps = detection.steps.map((step) =>
+            createTraceItem(
+                step.matched,
+                TRACE_CHECKS[step.check] || step.check,
+                describeTraceStep(step)
+            )
+        )
+        if (!detection.type) {
+            steps.push(createTraceItem(false, 'Aucun environnement détecté'))
+        }
+        elements.traceSteps.replaceChildren(...steps)
+
+        elements.traceMethods.replaceChildren(
+            ...detection.wordpressMethods.map((method) =>
+                createTraceItem(method.matched, method.name)
+            )
         )
     }
 
     /**
-     * Extracts theme name from body classes
-     *
-     * @returns {string} Theme name or default value
+     * Asks the content script to scan the page for URLs pointing to other
+     * environments
      */
-    function getThemeFromBodyClasses() {
-        const bodyClasses = document.body.className
-        const themeMatch = bodyClasses.match(
-            CONFIG.wordpress.patterns.theme.bodyClass
+    function scanEnvironmentUrls() {
+        elements.scanStart.disabled = true
+        chrome.tabs.query(
+            { active: true, currentWindow: true },
+            function (tabs) {
+                if (!tabs[0]) {
+                    elements.scanStart.disabled = false
+                    return
+                }
+                chrome.tabs.sendMessage(
+                    tabs[0].id,
+                    { action: 'scanEnvironmentUrls' },
+                    function (result) {
+                        elements.scanStart.disabled = false
+                        renderScanResults(
+                            chrome.runtime.lastError ? null : result
+                        )
+                    }
+                )
+            }
         )
-        return themeMatch ? themeMatch[1] : CONFIG.wordpress.defaults.theme
     }
 
     /**
-     * Extracts theme name from stylesheet links
+     * Renders the scan results grouped by element type
      *
-     * @returns {string} Theme name or default value
+     * @param {Object|null} result The scan result
      */
-    function getThemeFromStylesheets() {
-        const themeLink = document.querySelector(
-            CONFIG.wordpress.selectors.themeStylesheet
-        )
-        if (themeLink) {
-            const themeMatch = themeLink.href.match(
-                CONFIG.wordpress.patterns.theme.stylesheet
-            )
-            if (themeMatch) {
-                return themeMatch[1]
-            }
+    function renderScanResults(result) {
+        if (!result) {
+            const error = document.createElement('p')
+            error.className = 'settings__empty'
+            error.textContent = "L'analyse a échoué, rechargez la page."
+            elements.scanResults.replaceChildren(error)
+            return
+        }
+        if (result.total === 0) {
+            const empty = document.createElement('p')
+            empty.className = 'settings__empty'
+            empty.textContent = 'Aucune URL vers un autre environnement.'
+            elements.scanResults.replaceChildren(empty)
+            return
         }
-        return CONFIG.wordpress.defaults.theme
+
+        elements.scanResults.replaceChildren(
+            ...result.groups.map((group) => {
+                const section = document.createElement('div')
+                section.className = 'scan__group'
+
+                const title = document.createElement('h3')
+                title.className = 'scan__title'
+                title.textContent = `${group.label} (${group.items.length})`
+
+                const list = document.createElement('ul')
+                list.className = 'scan__list'
+                list.append(
+                    ...group.items.map((item) => {
+                        const entry = document.createElement('li')
+                        entry.className = 'scan__item'
+
+                        const url = document.createElement('span')
+                        url.className = 'scan__url'
+                        url.textContent = item.url
+
+                        const target = document.createElement('span')
+                        target.className = 'scan__target'
+                        target.textContent = item.target
+
+                        entry.append(url, target)
+                        return entry
+                    })
+                )
+
+                section.append(title, list)
+                return section
+            })
+        )
     }
 
     /**
-     * Gets WordPress theme using multiple detection methods
+     * Renders the debug features detected on the page
      *
-     * @returns {string} Theme name
+     * @param {Array} [signals] The debug signals detected by the content script
      */
-    function getWordPressTheme() {
-        const bodyClassTheme = getThemeFromBodyClasses()
-        if (bodyClassTheme !== CONFIG.wordpress.defaults.theme) {
-            return bodyClassTheme
+    function renderDebug(signals) {
+        elements.debug.hidden = !signals
+        if (!signals) {
+            return
         }
-        return getThemeFromStylesheets()
+
+        elements.debugList.replaceChildren(
+            ...signals.map((signal) => {
+                const item = document.createElement('li')
+                item.className = 'debug__item'
+                item.textContent =
+                    signal.count > 1
+                        ? `${signal.label} (${signal.count})`
+                        : signal.label
+                return item
+            })
+        )
+        elements.debugEmpty.hidden = signals.length > 0
     }
 
     /**
-     * Update WordPress info elements in popup
+     * Renders the warnings about the page below the environment
      *
-     * @param {Object} wpInfo WordPress information object
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {Array<string>} [warnings] The warnings
      */
-    function updateWordPressInfoElements(wpInfo) {
-        elements.wpVersion.textContent = wpInfo.version || '-'
-        elements.wpLanguage.textContent = wpInfo.language || '-'
-        elements.currentTheme.textContent = wpInfo.theme || '-'
+    function renderWarnings(warnings = []) {
+        elements.pageWarnings.replaceChildren(
+            ...warnings.map((warning) => {
+                const item = document.createElement('li')
+                item.className = 'warnings__item'
+                item.textContent = warning
+                return item
+            })
+        )
+        elements.pageWarnings.hidden = warnings.length === 0
     }
 
     /**
-     * Detect WordPress version from meta generator tag
+     * Creates a row of an info section
      *
-     * @returns {string} WordPress version or '-'
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {string} label The row label
+     * @param {string} value The row value
+     * @returns {HTMLElement} The row element
      */
-    function detectWordPressVersionFromGenerator() {
-        const generator = document.querySelector('meta[name="generator"]')
-        if (generator && generator.content.includes('WordPress')) {
-            const match = generator.content.match(/WordPress\s+([\d.]+)/)
-            if (match) {
-                return match[1]
-            }
-        }
-        return '-'
+    function createInfoRow(label, value) {
+        const row = document.createElement('div')
+        row.className = 'info__item'
+
+        const labelElement = document.createElement('span')
+        labelElement.className = 'info__label'
+        labelElement.textContent = label
+
+        const valueElement = document.createElement('span')
+        valueElement.className = 'info__value'
+        valueElement.textContent = value
+
+        row.append(labelElement, valueElement)
+        return row
     }
 
     /**
-     * Detect WordPress version from wp-includes scripts
+     * Loads the REST API index advertised by the page
+     * The service worker fetches it and caches it per origin
      *
-     * @returns {string} WordPress version or '-'
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {string|null} [restUrl] The REST API URL of the page
      */
-    function detectWordPressVersionFromScripts() {
-        const scripts = document.querySelectorAll('script[src*="wp-includes"]')
-        for (const script of scripts) {
-            const match = script.src.match(
-                /wp-includes\/js\/wp-([\d.]+)\.min\.js/
-            )
-            if (match) {
-                return match[1]
-            }
+    function loadRestIndex(restUrl) {
+        elements.rest.hidden = !restUrl
+        if (!restUrl) {
+            return
         }
-        return '-'
+
+        elements.restGrid.replaceChildren()
+        elements.restStatus.textContent = 'Chargement…'
+        elements.restStatus.hidden = false
+        chrome.runtime
+            .sendMessage({ action: 'getRestIndex', url: restUrl })
+            .then(renderRestIndex)
+            .catch(() => renderRestIndex(null))
     }
 
     /**
-     * Detect WordPress version using multiple methods
+     * Renders the REST API index summary
      *
-     * @returns {string} WordPress version or '-'
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {Object|null} index The summary or an `error`
      */
-    function detectWordPressVersion() {
-        let version = detectWordPressVersionFromGenerator()
-        if (version === '-') {
-            version = detectWordPressVersionFromScripts()
+    function renderRestIndex(index) {
+        if (!index || index.error) {
+            elements.restStatus.textContent = 'API REST inaccessible.'
+            return
         }
-        return version
+
+        const rows = [
+            ['Nom :', index.name],
+            ['Description :', index.description],
+            ['Accueil :', index.home],
+            ['Fuseau horaire :', index.timezone],
+            ['Espaces WordPress :', index.namespaces.join(', ')],
+            ['Espaces des extensions :', index.pluginNamespaces.join(', ')],
+        ]
+        elements.restGrid.replaceChildren(
+            ...rows
+                .filter(([, value]) => value)
+                .map(([label, value]) => createInfoRow(label, value))
+        )
+        elements.restStatus.hidden = true
     }
 
     /**
-     * Detect page language
+     * Renders the plugins, theme and technologies detected on the page
      *
-     * @returns {string} Language code or '-'
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {Object} [stack] The stack detected by the content script
      */
-    function detectPageLanguage() {
-        const html = document.documentElement
-        return html.getAttribute('lang') || html.getAttribute('xml:lang') || '-'
+    function renderStack(stack) {
+        elements.stack.hidden = !stack
+        if (!stack) {
+            return
+        }
+
+        elements.stackGrid.replaceChildren()
+        if (stack.theme) {
+            elements.stackGrid.appendChild(
+                createInfoRow(
+                    'Thème :',
+                    stack.theme.parent
+                        ? `${stack.theme.name} (enfant de ${stack.theme.parent})`
+                        : stack.theme.name
+                )
+            )
+        }
+        for (const [category, label] of Object.entries(STACK_CATEGORIES)) {
+            const names = stack.technologies
+                .filter((technology) => technology.category === category)
+                .map((technology) => technology.name)
+            if (names.length) {
+                elements.stackGrid.appendChild(
+                    createInfoRow(label, names.join(', '))
+                )
+            }
+        }
+
+        elements.stackPlugins.replaceChildren(
+            ...stack.plugins.map((slug) => {
+                const item = document.createElement('li')
+                item.className = 'stack__plugin'
+                item.textContent = slug
+                return item
+            })
+        )
+        elements.stackEmpty.hidden = stack.plugins.length > 0
     }
 
     /**
-     * Detect theme from body classes
+     * Formats the indexing directives of the page
      *
-     * @returns {string} Theme name or null
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {Object} [robots] The robots meta tag and header of the page
+     * @returns {string} The text to display
      */
-    function detectThemeFromBodyClasses() {
-        const bodyClasses = document.body.className
-        const themeMatch = bodyClasses.match(/theme-([a-zA-Z0-9-_]+)/)
-        return themeMatch ? themeMatch[1] : null
+    function formatRobotsInfo(robots) {
+        if (!robots) {
+            return '-'
+        }
+        const directives = [robots.meta, robots.header].filter(Boolean)
+        const status = robots.isIndexable ? 'Autorisée' : 'Bloquée'
+        return directives.length
+            ? `${status} (${directives.join(' ; ')})`
+            : status
     }
 
     /**
-     * Detect theme from stylesheet links
+     * Formats the multisite information of the page
      *
-     * @returns {string} Theme name or null
-     * @since 0.1
-     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     * @param {Object} [multisite] The multisite information
+     * @returns {string} The text to display
      */
-    function detectThemeFromStylesheets() {
-        const themeLink = document.querySelector(
-            'link[rel="stylesheet"][href*="themes"]'
-        )
-        if (themeLink) {
-            const href = themeLink.href
-            const themeMatch = href.match(/themes\/([^\/]+)/)
-            return themeMatch ? themeMatch[1] : null
+    function formatMultisiteInfo(multisite) {
+        if (!multisite) {
+            return '-'
         }
-        return null
+        if (!multisite.isMultisite) {
+            return 'Non'
+        }
+        if (multisite.isNetworkAdmin) {
+            return 'Administration du réseau'
+        }
+
+        const parts = []
+        if (multisite.blogId) {
+            parts.push(`Site n°${multisite.blogId}`)
+        }
+        if (multisite.siteName) {
+            parts.push(multisite.siteName)
+        }
+        return parts.length ? parts.join(' · ') : 'Oui'
     }
 
     /**
-     * Detect WordPress theme using multiple methods
+     * Reads the WordPress version, language and theme of the page
+     * Runs in the page through `chrome.scripting.executeScript`, so every
+     * helper it calls is declared inside it
      *
-     * @returns {string} Theme name or '-'
-     * @since 0.1
+     * @returns {Object} The `version`, `language` and `theme` of the page
+     * @since 0.2
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function detectWordPressTheme() {
-        let theme = detectThemeFromBodyClasses()
-        if (!theme) {
-            theme = detectThemeFromStylesheets()
+    function readPageWordPressInfo() {
+        /**
+         * Detect WordPress version from meta generator tag
+         *
+         * @returns {string} WordPress version or '-'
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectWordPressVersionFromGenerator() {
+            const generator = document.querySelector('meta[name="generator"]')
+            if (generator && generator.content.includes('WordPress')) {
+                const match = generator.content.match(/WordPress\s+([\d.]+)/)
+                if (match) {
+                    return match[1]
+                }
+            }
+            return '-'
+        }
+
+        /**
+         * Detect WordPress version from wp-includes scripts
+         *
+         * @returns {string} WordPress version or '-'
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectWordPressVersionFromScripts() {
+            const scripts = document.querySelectorAll(
+                'script[src*="wp-includes"]'
+            )
+            for (const script of scripts) {
+                const match = script.src.match(
+                    /wp-includes\/js\/wp-([\d.]+)\.min\.js/
+                )
+                if (match) {
+                    return match[1]
+                }
+            }
+            return '-'
+        }
+
+        /**
+         * Detect WordPress version using multiple methods
+         *
+         * @returns {string} WordPress version or '-'
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectWordPressVersion() {
+            let version = detectWordPressVersionFromGenerator()
+            if (version === '-') {
+                version = detectWordPressVersionFromScripts()
+            }
+            return version
+        }
+
+        /**
+         * Detect page language
+         *
+         * @returns {string} Language code or '-'
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectPageLanguage() {
+            const html = document.documentElement
+            return (
+                html.getAttribute('lang') ||
+                html.getAttribute('xml:lang') ||
+                '-'
+            )
+        }
+
+        /**
+         * Detect theme from body classes
+         *
+         * @returns {string} Theme name or null
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectThemeFromBodyClasses() {
+            const bodyClasses = document.body.className
+            const themeMatch = bodyClasses.match(/theme-([a-zA-Z0-9-_]+)/)
+            return themeMatch ? themeMatch[1] : null
+        }
+
+        /**
+         * Detect theme from stylesheet links
+         *
+         * @returns {string} Theme name or null
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectThemeFromStylesheets() {
+            const themeLink = document.querySelector(
+                'link[rel="stylesheet"][href*="themes"]'
+            )
+            if (themeLink) {
+                const href = themeLink.href
+                const themeMatch = href.match(/themes\/([^\/]+)/)
+                return themeMatch ? themeMatch[1] : null
+            }
+            return null
+        }
+
+        /**
+         * Detect WordPress theme using multiple methods
+         *
+         * @returns {string} Theme name or '-'
+         * @since 0.1
+         * @author Raphael Sanchez <hello@raphaelsanchez.design>
+         */
+        function detectWordPressTheme() {
+            let theme = detectThemeFromBodyClasses()
+            if (!theme) {
+                theme = detectThemeFromStylesheets()
+            }
+            return theme || '-'
+        }
+
+        return {
+            version: detectWordPressVersion(),
+            language: detectPageLanguage(),
+            theme: detectWordPressTheme(),
         }
-        return theme || '-'
     }
 
     /**
@@ -481,13 +834,7 @@
         chrome.scripting.executeScript(
             {
                 target: { tabId: tabId },
-                func: function () {
-                    return {
-                        version: detectWordPressVersion(),
-                        language: detectPageLanguage(),
-                        theme: detectWordPressTheme(),
-                    }
-                },
+                func: readPageWordPressInfo,
             },
             function (results) {
                 if (results && results[0] && results[0].result) {
@@ -504,81 +851,150 @@
     }
 
     /**
-     * Checks if hostname is a local development environment
+     * Updates UI based on detected environment
      *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if local development
+     * @param {Object|null} environment Environment configuration or null
      */
-    function isLocalDevelopment(hostname) {
-        return hostname === 'localhost' || hostname.startsWith('127.')
+    function updateEnvironmentUI(environment) {
+        if (environment) {
+            currentEnvironment = environment
+            updateEnvironmentDisplay()
+        } else {
+            showNoDataState()
+            loadDetectionTrace()
+        }
     }
 
     /**
-     * Checks if hostname uses development TLD
+     * Shows the detection trace of a WordPress page without environment,
+     * to tell which checks failed or which exclusion applied
      *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if development TLD
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function isDevelopmentTLD(hostname) {
-        return DEVELOPMENT_TLDS.some((tld) => hostname.endsWith(tld))
+    function loadDetectionTrace() {
+        chrome.tabs.query(
+            { active: true, currentWindow: true },
+            function (tabs) {
+                if (!tabs[0]) {
+                    return
+                }
+
+                chrome.tabs.sendMessage(
+                    tabs[0].id,
+                    { action: 'getWordPressInfo' },
+                    function (response) {
+                        const detection =
+                            !chrome.runtime.lastError && response
+                                ? response.detection
+                                : null
+                        if (
+                            detection &&
+                            detection.wordpressMethods.some(
+                                (method) => method.matched
+                            )
+                        ) {
+                            renderTrace(detection)
+                        }
+                    }
+                )
+            }
+        )
     }
 
     /**
-     * Checks if hostname matches staging patterns
+     * Opens a URL in a new tab or in the current tab
      *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if staging environment
+     * @param {string} url The URL to open
+     * @param {number} tabId The ID of the current tab
+     * @param {boolean} inNewTab Whether to open a new tab
      */
-    function isStagingEnvironment(hostname) {
-        return STAGING_PATTERNS.some((pattern) => pattern.test(hostname))
+    function openUrl(url, tabId, inNewTab) {
+        if (inNewTab) {
+            chrome.tabs.create({ url })
+        } else {
+            chrome.tabs.update(tabId, { url })
+            window.close()
+        }
     }
 
     /**
-     * Detects environment type based on hostname
+     * Renders the links opening the current page on the sibling
+     * environments of its project
      *
-     * @param {string} hostname The hostname to analyze
-     * @returns {Object|null} Environment configuration or null
+     * @param {string} url The URL of the tab
+     * @param {number} tabId The ID of the tab
+     * @param {Object} settings The user settings
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function detectEnvironmentType(hostname) {
-        if (isLocalDevelopment(hostname) || isDevelopmentTLD(hostname)) {
-            return ENVIRONMENT_CONFIG.development
-        }
+    function renderSiblingLinks(url, tabId, settings) {
+        const match = WPEnvProjects.findProjectEnvironment(
+            url,
+            settings.projects
+        )
+        const siblings = match
+            ? match.project.environments.filter(
+                  (environment) => environment !== match.environment
+              )
+            : []
 
-        if (isStagingEnvironment(hostname)) {
-            return ENVIRONMENT_CONFIG.staging
-        }
+        elements.siblings.hidden = siblings.length === 0
+        elements.siblingsNewTab.checked = settings.openLinksInNewTab
 
-        return null
-    }
+        const types = WPEnvDetector.getEnvironmentTypes(settings)
+        const links = siblings.map((environment) => {
+            const config = types[environment.type]
+            const siblingUrl = WPEnvProjects.buildSiblingUrl(
+                url,
+                match.environment,
+                environment
+            )
 
-    /**
-     * Updates UI based on detected environment
-     *
-     * @param {Object|null} environment Environment configuration or null
-     */
-    function updateEnvironmentUI(environment) {
-        if (environment) {
-            currentEnvironment = environment
-            updateEnvironmentDisplay()
-        } else {
-            showNoDataState()
-        }
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = 'button siblings__link'
+            button.textContent = config ? config.name : environment.type
+            button.title = siblingUrl || ''
+            button.disabled = siblingUrl === null
+            if (config) {
+                button.style.setProperty('--environment-color', config.color)
+            }
+            button.addEventListener('click', function () {
+                openUrl(siblingUrl, tabId, elements.siblingsNewTab.checked)
+            })
+            return button
+        })
+        elements.siblingsList.replaceChildren(...links)
     }
 
     /**
      * Fallback environment detection in popup
      *
      * @param {string} url The URL of the tab
+     * @param {number} tabId The ID of the tab
      * @since 0.1
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function detectEnvironmentInPopup(url) {
+    async function detectEnvironmentInPopup(url, tabId) {
         try {
             const urlObj = new URL(url)
             const hostname = urlObj.hostname
 
-            const environment = detectEnvironmentType(hostname)
+            const [settings, declaredType] = await Promise.all([
+                WPEnvSettings.load(),
+                chrome.runtime.sendMessage({
+                    action: 'getDeclaredEnvironment',
+                    tabId,
+                }),
+            ])
+            const environment = WPEnvDetector.detectEnvironmentType(
+                hostname,
+                settings,
+                { declaredType }
+            )
             updateEnvironmentUI(environment)
+            renderSiblingLinks(url, tabId, settings)
         } catch (error) {
             console.log('Error detecting environment:', error)
             showNoDataState()
@@ -604,6 +1020,16 @@
         }
     })
 
+    /**
+     * Refreshes the detected environment when the settings are saved
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    WPEnvSettings.onChanged(function () {
+        loadEnvironmentData()
+    })
+
     /**
      * Initializes when DOM is ready
      *
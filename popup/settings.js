@@ -0,0 +1,1361 @@
+/**
+ * Settings tab script for WordPress Environment Indicator
+ * Handles the editors of the environment rules, the custom environment
+ * types, the projects, the production hosts and the page indicators
+ */
+
+;(function () {
+    'use strict'
+
+    // DOM elements
+    const elements = {
+        rulesManaged: document.getElementById('rules-managed'),
+        rulesList: document.getElementById('rules-list'),
+        rulesEmpty: document.getElementById('rules-empty'),
+        rulesAdd: document.getElementById('rules-add'),
+        typesManaged: document.getElementById('types-managed'),
+        typesList: document.getElementById('types-list'),
+        typesEmpty: document.getElementById('types-empty'),
+        typesAdd: document.getElementById('types-add'),
+        projectsManaged: document.getElementById('projects-managed'),
+        projectsList: document.getElementById('projects-list'),
+        projectsEmpty: document.getElementById('projects-empty'),
+        projectsAdd: document.getElementById('projects-add'),
+        indicatorsList: document.getElementById('indicators-list'),
+        tabTitlePrefix: document.getElementById('tab-title-prefix'),
+        tabFavicon: document.getElementById('tab-favicon'),
+        debugWarning: document.getElementById('debug-warning'),
+        safeguardActions: document.getElementById('safeguard-actions'),
+        productionHostsManaged: document.getElementById(
+            'production-hosts-managed'
+        ),
+        productionHosts: document.getElementById('production-hosts'),
+        stagingExclusionsManaged: document.getElementById(
+            'staging-exclusions-managed'
+        ),
+        stagingExclusions: document.getElementById('staging-exclusions'),
+        settingsTab: document.getElementById('settings-tab'),
+        testerUrls: document.getElementById('tester-urls'),
+        testerResults: document.getElementById('tester-results'),
+        testerRules: document.getElementById('tester-rules'),
+        settingsSave: document.getElementById('settings-save'),
+        settingsStatus: document.getElementById('settings-status'),
+    }
+
+    /**
+     * Labels of the rule match types
+     */
+    const MATCH_TYPE_LABELS = {
+        exact: 'Hôte exact',
+        wildcard: 'Joker (*)',
+        regex: 'Regex',
+    }
+
+    /**
+     * Labels of the admin bar styles, an empty value keeping the default bar
+     */
+    const ADMIN_BAR_LABELS = {
+        '': 'Par défaut',
+        background: 'Fond coloré',
+        stripes: 'Rayures',
+        border: 'Bordure haute',
+    }
+
+    /**
+     * Labels of the page overlay styles, an empty value meaning no overlay
+     */
+    const OVERLAY_LABELS = {
+        '': 'Aucun',
+        frame: 'Cadre',
+        ribbon: 'Ruban',
+        watermark: 'Filigrane',
+    }
+
+    /**
+     * Placeholders of the pattern field per match type
+     */
+    const PATTERN_PLACEHOLDERS = {
+        exact: 'www.example.com',
+        wildcard: '*.client-staging.agency.com',
+        regex: '^(qa|uat)\\d*\\.',
+    }
+
+    /**
+     * Labels of the detector checks resolving a tested URL
+     */
+    const CHECK_LABELS = {
+        production: 'site de production',
+        local: 'hôte local',
+        tld: 'TLD de développement',
+        staging: 'motif Staging',
+    }
+
+    // Settings edited in this tab or managed by IT
+    const EDITED_SETTINGS = [
+        'rules',
+        'environmentTypes',
+        'projects',
+        'productionHosts',
+        'stagingExclusions',
+        'overlays',
+        'adminBarStyles',
+        'tabTitlePrefix',
+        'tabFavicon',
+        'guardedActions',
+        'debugWarning',
+    ]
+
+    // Rules, types and projects being edited, only stored when the user saves
+    let draftRules = []
+    let draftTypes = []
+    let draftProjects = []
+    let draftOverlays = {}
+    let draftAdminBarStyles = {}
+
+    // Settings pushed by IT through an enterprise policy, read-only
+    let managedSettings = {}
+
+    /**
+     * Initializes the settings tab
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function init() {
+        await loadDrafts()
+        setupEventListeners()
+    }
+
+    /**
+     * Loads the stored settings into the editors
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function loadDrafts() {
+        const [settings, managed] = await Promise.all([
+            WPEnvSettings.loadUserSettings(),
+            WPEnvSettings.loadManaged(),
+        ])
+        managedSettings = managed
+        renderManaged()
+        draftRules = settings.rules
+        // Types saved or imported by older versions may miss some fields
+        draftTypes = settings.environmentTypes.map((config) => ({
+            ...config,
+            icon: config.icon || WPEnvDetector.CONFIG.defaultIcon,
+            badgeText: String(config.badgeText || ''),
+        }))
+        draftProjects = settings.projects
+        draftOverlays = settings.overlays
+        draftAdminBarStyles = settings.adminBarStyles
+        renderRules()
+        renderTypes()
+        renderProjects()
+        renderIndicators()
+        elements.productionHosts.value = settings.productionHosts.join('\n')
+        elements.stagingExclusions.value = settings.stagingExclusions.join('\n')
+        elements.tabTitlePrefix.checked = settings.tabTitlePrefix
+        elements.tabFavicon.checked = settings.tabFavicon
+        renderGuardedActions(settings.guardedActions)
+        elements.debugWarning.checked = settings.debugWarning
+
+        const migrationError = await WPEnvSettings.getMigrationError()
+        if (migrationError) {
+            showStatus(
+                `Vos réglages n'ont pas pu être synchronisés : ${migrationError}. Enregistrez-les pour réessayer.`,
+                true
+            )
+        }
+    }
+
+    /**
+     * Sets up the event listeners
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function setupEventListeners() {
+        elements.rulesAdd.addEventListener('click', function () {
+            draftRules.push(createRule())
+            renderRules()
+            elements.rulesList.lastElementChild
+                .querySelector('.rules__pattern')
+                .focus()
+        })
+
+        elements.typesAdd.addEventListener('click', function () {
+            draftTypes.push(createType())
+            renderTypes()
+            elements.typesList.lastElementChild
+                .querySelector('.types__name')
+                .focus()
+        })
+
+        elements.projectsAdd.addEventListener('click', function () {
+            draftProjects.push(createProject())
+            renderProjects()
+            elements.projectsList.lastElementChild
+                .querySelector('.projects__name')
+                .focus()
+        })
+
+        elements.settingsSave.addEventListener('click', saveSettings)
+
+        // Test the URLs again whenever a setting is edited
+        elements.settingsTab.addEventListener('input', testRules)
+        elements.settingsTab.addEventListener('change', testRules)
+
+        // Settings imported, synced or pushed by IT replace the edited ones
+        WPEnvSettings.onChanged(function (keys) {
+            if (keys.some((key) => EDITED_SETTINGS.includes(key))) {
+                loadDrafts()
+            }
+        })
+    }
+
+    /**
+     * Creates an empty rule
+     *
+     * @returns {Object} The new rule
+     */
+    function createRule() {
+        return {
+            id: WPEnvSettings.createId(),
+            match: 'exact',
+            pattern: '',
+            environment: 'staging',
+        }
+    }
+
+    /**
+     * Creates an empty environment type
+     *
+     * @returns {Object} The new environment type
+     */
+    function createType() {
+        return {
+            type: '',
+            name: '',
+            color: '#6c757d',
+            icon: WPEnvDetector.CONFIG.defaultIcon,
+            badgeText: '',
+        }
+    }
+
+    /**
+     * Creates a project with a local and a production environment
+     *
+     * @returns {Object} The new project
+     */
+    function createProject() {
+        return {
+            id: WPEnvSettings.createId(),
+            name: '',
+            environments: [
+                { type: 'development', baseUrl: '' },
+                { type: 'production', baseUrl: '' },
+            ],
+        }
+    }
+
+    /**
+     * Converts an environment name to a type identifier
+     *
+     * @param {string} name The environment name
+     * @returns {string} The type identifier, e.g. `pre-prod` for "Pré-prod"
+     */
+    function slugify(name) {
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+    }
+
+    /**
+     * Creates a select element
+     *
+     * @param {string} className The class name of the select
+     * @param {Object} options The option labels keyed by value
+     * @param {string} value The selected value
+     * @param {Function} onChange Called with the new value
+     * @returns {HTMLSelectElement} The select element
+     */
+    function createSelect(className, options, value, onChange) {
+        const select = document.createElement('select')
+        select.className = `field ${className}`
+
+        for (const [optionValue, label] of Object.entries(options)) {
+            select.add(
+                new Option(label, optionValue, false, optionValue === value)
+            )
+        }
+
+        select.addEventListener('change', function () {
+            onChange(this.value)
+        })
+        return select
+    }
+
+    /**
+     * Creates a small icon button
+     *
+     * @param {string} label The accessible label
+     * @param {string} text The visible text
+     * @param {boolean} disabled Whether the button is disabled
+     * @param {Function} onClick The click handler
+     * @returns {HTMLButtonElement} The button element
+     */
+    function createIconButton(label, text, disabled, onClick) {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.className = 'button button--icon'
+        button.title = label
+        button.setAttribute('aria-label', label)
+        button.textContent = text
+        button.disabled = disabled
+        button.addEventListener('click', onClick)
+        return button
+    }
+
+    /**
+     * Creates a text input element
+     *
+     * @param {string} className The class name of the input
+     * @param {string} label The accessible label
+     * @param {string} value The input value
+     * @param {Function} onInput Called with the new value
+     * @returns {HTMLInputElement} The input element
+     */
+    function createInput(className, label, value, onInput) {
+        const input = document.createElement('input')
+        input.type = 'text'
+        input.className = `field ${className}`
+        input.value = value
+        input.placeholder = label
+        input.setAttribute('aria-label', label)
+        input.addEventListener('input', function () {
+            onInput(this.value)
+        })
+        return input
+    }
+
+    /**
+     * Returns a managed list setting
+     *
+     * @param {string} key The setting key
+     * @returns {Array} The managed items, empty if none
+     */
+    function getManagedList(key) {
+        return Array.isArray(managedSettings[key]) ? managedSettings[key] : []
+    }
+
+    /**
+     * Returns the managed environment types followed by the given ones
+     *
+     * @param {Array} environmentTypes The user environment types
+     * @returns {Object} Detection options with every custom type
+     */
+    function getTypeOptions(environmentTypes) {
+        return {
+            environmentTypes: [
+                ...getManagedList('environmentTypes'),
+                ...environmentTypes,
+            ],
+        }
+    }
+
+    /**
+     * Returns the environment names keyed by type, including the types
+     * being edited
+     *
+     * @param {string} selectedType The type selected by a rule
+     * @returns {Object} The environment names
+     */
+    function getEnvironmentOptions(selectedType) {
+        const options = {}
+        const types = WPEnvDetector.getEnvironmentTypes(
+            getTypeOptions(draftTypes)
+        )
+        for (const config of Object.values(types)) {
+            options[config.type] = config.name
+        }
+
+        // Keep the rule value visible while its type is being edited
+        if (selectedType && !Object.hasOwn(options, selectedType)) {
+            options[selectedType] = selectedType
+        }
+        return options
+    }
+
+    /**
+     * Renders a read-only list of managed items
+     *
+     * @param {HTMLElement} list The list element
+     * @param {Array} labels The labels of the managed items
+     */
+    function renderManagedList(list, labels) {
+        list.replaceChildren(
+            ...labels.map((label) => {
+                const item = document.createElement('li')
+                item.className = 'settings__managed-item'
+                item.title = 'Géré par votre organisation'
+
+                const text = document.createElement('span')
+                text.className = 'settings__managed-label'
+                text.textContent = label
+
+                const tag = document.createElement('span')
+                tag.className = 'settings__managed-tag'
+                tag.textContent = 'Géré'
+
+                item.append(text, tag)
+                return item
+            })
+        )
+        list.hidden = labels.length === 0
+    }
+
+    /**
+     * Renders the settings pushed by IT, which cannot be edited
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderManaged() {
+        const types = WPEnvDetector.getEnvironmentTypes(getTypeOptions([]))
+
+        renderManagedList(
+            elements.rulesManaged,
+            getManagedList('rules').map((rule) => {
+                const match = MATCH_TYPE_LABELS[rule.match] || rule.match
+                const environment = types[rule.environment]
+                    ? types[rule.environment].name
+                    : rule.environment
+                return `${match} ${rule.pattern} → ${environment}`
+            })
+        )
+        renderManagedList(
+            elements.typesManaged,
+            getManagedList('environmentTypes').map(
+                (config) => `${config.name} (${config.type})`
+            )
+        )
+        renderManagedList(
+            elements.projectsManaged,
+            getManagedList('projects').map((project) => project.name)
+        )
+        renderManagedList(
+            elements.productionHostsManaged,
+            getManagedList('productionHosts')
+        )
+        renderManagedList(
+            elements.stagingExclusionsManaged,
+            getManagedList('stagingExclusions')
+        )
+    }
+
+    /**
+     * Creates the list item of a rule
+     *
+     * @param {Object} rule The rule
+     * @param {number} index The position of the rule
+     * @returns {HTMLElement} The list item
+     */
+    function createRuleItem(rule, index) {
+        const item = document.createElement('li')
+        item.className = 'rules__item'
+
+        const pattern = document.createElement('input')
+        pattern.type = 'text'
+        pattern.className = 'field rules__pattern'
+        pattern.value = rule.pattern
+        pattern.placeholder = PATTERN_PLACEHOLDERS[rule.match]
+        pattern.setAttribute('aria-label', 'Motif du nom d’hôte')
+        pattern.addEventListener('input', function () {
+            rule.pattern = this.value
+        })
+
+        const match = createSelect(
+            'rules__match',
+            MATCH_TYPE_LABELS,
+            rule.match,
+            function (value) {
+                rule.match = value
+                pattern.placeholder = PATTERN_PLACEHOLDERS[value]
+            }
+        )
+
+        const environment = createSelect(
+            'rules__environment',
+            getEnvironmentOptions(rule.environment),
+            rule.environment,
+            function (value) {
+                rule.environment = value
+            }
+        )
+
+        const controls = document.createElement('div')
+        controls.className = 'rules__controls'
+        controls.append(
+            createIconButton('Monter', '↑', index === 0, () =>
+                moveRule(index, -1)
+            ),
+            createIconButton(
+                'Descendre',
+                '↓',
+                index === draftRules.length - 1,
+                () => moveRule(index, 1)
+            ),
+            createIconButton('Supprimer', '✕', false, () => deleteRule(index))
+        )
+
+        item.append(match, pattern, environment, controls)
+        return item
+    }
+
+    /**
+     * Renders the rules being edited
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderRules() {
+        elements.rulesList.replaceChildren(
+            ...draftRules.map((rule, index) => createRuleItem(rule, index))
+        )
+        elements.rulesEmpty.hidden = draftRules.length > 0
+        testRules()
+    }
+
+    /**
+     * Returns the detection options being edited, after the managed ones
+     *
+     * @returns {Object} The detection options
+     */
+    function getDraftOptions() {
+        return {
+            ...getTypeOptions(draftTypes),
+            rules: [...getManagedList('rules'), ...draftRules],
+            productionHosts: [
+                ...getManagedList('productionHosts'),
+                ...readHosts(elements.productionHosts),
+            ],
+            stagingExclusions: [
+                ...getManagedList('stagingExclusions'),
+                ...readHosts(elements.stagingExclusions),
+            ],
+        }
+    }
+
+    /**
+     * Reads the hostnames of the URLs to test, bare hosts accepted
+     *
+     * @returns {Array} The tested lines and their hostname, null if invalid
+     */
+    function readTestedUrls() {
+        return elements.testerUrls.value
+            .split('\n')
+            .map((line) => line.trim())
+            .filter(Boolean)
+            .map((line) => {
+                try {
+                    const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(line)
+                        ? line
+                        : `https://${line}`
+                    return { line, hostname: new URL(url).hostname }
+                } catch (error) {
+                    return { line, hostname: null }
+                }
+            })
+    }
+
+    /**
+     * Describes the rule or check resolving a tested URL
+     *
+     * @param {Object} trace The detector trace
+     * @returns {string} The description
+     */
+    function describeResolution(trace) {
+        if (trace.check === 'rule') {
+            const index = draftRules.indexOf(trace.rule)
+            return index === -1
+                ? `règle gérée « ${trace.rule.pattern} »`
+                : `règle n°${index + 1} « ${trace.rule.pattern} »`
+        }
+        const label = CHECK_LABELS[trace.check]
+        return label ? `${label} « ${trace.value} »` : 'aucune règle'
+    }
+
+    /**
+     * Creates the result item of a tested URL
+     *
+     * @param {Object} tested The tested line and hostname
+     * @param {Object} options The detection options
+     * @returns {HTMLElement} The list item
+     */
+    function createTesterResult(tested, options) {
+        const item = document.createElement('li')
+        item.className = 'tester__result'
+
+        const url = document.createElement('span')
+        url.className = 'tester__url'
+        url.textContent = tested.line
+
+        const resolution = document.createElement('span')
+        resolution.className = 'tester__resolution'
+        if (!tested.hostname) {
+            resolution.textContent = 'Adresse invalide'
+        } else {
+            const trace = WPEnvDetector.explainEnvironmentType(
+                tested.hostname,
+                options
+            )
+            resolution.textContent = trace.environment
+                ? `${trace.environment.name}, par ${describeResolution(trace)}`
+                : 'Non détecté'
+            if (trace.environment) {
+                resolution.style.setProperty(
+                    '--environment-color',
+                    trace.environment.color
+                )
+                resolution.classList.add('tester__resolution--detected')
+            }
+        }
+
+        item.append(url, resolution)
+        return item
+    }
+
+    /**
+     * Finds the rules being edited that no tested URL resolves through
+     * A rule matching none of the URLs never matches; a rule matching URLs
+     * that an earlier rule always resolves first is shadowed
+     *
+     * @param {Array} hostnames The tested hostnames
+     * @param {Object} options The detection options
+     * @returns {Array} The `index`, `rule` and `status` of each unused rule
+     */
+    function findUnusedRules(hostnames, options) {
+        const traces = hostnames.map((hostname) =>
+            WPEnvDetector.explainEnvironmentType(hostname, options)
+        )
+
+        const unused = []
+        draftRules.forEach((rule, index) => {
+            if (!WPEnvDetector.isValidRule(rule, options)) {
+                unused.push({ index, rule, status: 'invalid' })
+                return
+            }
+            if (traces.some((trace) => trace.rule === rule)) {
+                return
+            }
+
+            const shadowing = hostnames.findIndex(
+                (hostname) =>
+                    WPEnvDetector.explainEnvironmentType(hostname, {
+                        ...options,
+                        rules: [rule],
+                    }).check === 'rule'
+            )
+            unused.push(
+                shadowing === -1
+                    ? { index, rule, status: 'unused' }
+                    : {
+                          index,
+                          rule,
+                          status: 'shadowed',
+                          by: traces[shadowing].rule,
+                      }
+            )
+        })
+        return unused
+    }
+
+    /**
+     * Describes why a rule is never used by the tested URLs
+     *
+     * @param {Object} unused The unused rule
+     * @returns {string} The description
+     */
+    function describeUnusedRule(unused) {
+        const name = `Règle n°${unused.index + 1}`
+        if (unused.status === 'invalid') {
+            return `${name} : motif invalide`
+        }
+        if (unused.status === 'unused') {
+            return `${name} : ne correspond à aucune adresse testée`
+        }
+
+        const index = draftRules.indexOf(unused.by)
+        return `${name} : masquée par ${
+            index === -1
+                ? `la règle gérée « ${unused.by.pattern} »`
+                : `la règle n°${index + 1}`
+        }`
+    }
+
+    /**
+     * Resolves the tested URLs with the settings being edited and highlights
+     * the rules they never use
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function testRules() {
+        const tested = readTestedUrls()
+        const options = getDraftOptions()
+
+        elements.testerResults.replaceChildren(
+            ...tested.map((item) => createTesterResult(item, options))
+        )
+
+        const hostnames = tested.map((item) => item.hostname).filter(Boolean)
+        const unused = hostnames.length
+            ? findUnusedRules(hostnames, options)
+            : []
+        elements.testerRules.replaceChildren(
+            ...unused.map((item) => {
+                const entry = document.createElement('li')
+                entry.className = `tester__rule tester__rule--${item.status}`
+                entry.textContent = describeUnusedRule(item)
+                return entry
+            })
+        )
+
+        Array.from(elements.rulesList.children).forEach((item, index) => {
+            const status = unused.find((entry) => entry.index === index)
+            item.classList.toggle(
+                'rules__item--unused',
+                Boolean(status) && status.status !== 'invalid'
+            )
+        })
+    }
+
+    /**
+     * Creates the list item of an environment type
+     *
+     * @param {Object} config The environment type
+     * @param {number} index The position of the type
+     * @returns {HTMLElement} The list item
+     */
+    function createTypeItem(config, index) {
+        const item = document.createElement('li')
+        item.className = 'types__item'
+
+        // Derive the identifier from the name until the user edits it
+        let isTypeEdited = config.type !== ''
+
+        const color = document.createElement('input')
+        color.type = 'color'
+        color.className = 'field types__color'
+        color.value = config.color
+        color.setAttribute('aria-label', 'Couleur')
+        color.addEventListener('input', function () {
+            config.color = this.value
+        })
+
+        const type = createInput(
+            'types__type',
+            'Identifiant',
+            config.type,
+            function (value) {
+                isTypeEdited = true
+                renameType(config, value)
+            }
+        )
+
+        const name = createInput(
+            'types__name',
+            'Nom',
+            config.name,
+            function (value) {
+                config.name = value
+                if (!isTypeEdited) {
+                    type.value = slugify(value)
+                    renameType(config, type.value)
+                } else {
+                    renderRules()
+                    renderProjects()
+                    renderIndicators()
+                }
+            }
+        )
+
+        const badgeText = createInput(
+            'types__badge',
+            'Texte du badge',
+            config.badgeText,
+            function (value) {
+                config.badgeText = value
+            }
+        )
+        badgeText.maxLength =
+            WPEnvDetector.CONFIG.customTypes.badgeTextMaxLength
+
+        const icons = {}
+        for (const icon of WPEnvDetector.getIcons()) {
+            icons[icon.name] = icon.label
+        }
+        const icon = createSelect(
+            'types__icon',
+            icons,
+            config.icon,
+            function (value) {
+                config.icon = value
+            }
+        )
+
+        const remove = createIconButton('Supprimer', '✕', false, () =>
+            deleteType(index)
+        )
+
+        item.append(color, name, type, remove, icon, badgeText)
+        return item
+    }
+
+    /**
+     * Checks if an identifier also belongs to a built-in, managed or other
+     * edited type, whose references must be left alone
+     *
+     * @param {Object} config The environment type being renamed
+     * @returns {boolean} True if another type uses the same identifier
+     */
+    function isTypeShared(config) {
+        return (
+            Object.hasOwn(WPEnvDetector.CONFIG.types, config.type) ||
+            [...getManagedList('environmentTypes'), ...draftTypes].some(
+                (other) => other !== config && other.type === config.type
+            )
+        )
+    }
+
+    /**
+     * Renames an environment type and the rules pointing to it
+     * References are only moved when the previous identifier was this
+     * type's own, so typing `Staging EU` never moves the `staging` rules
+     *
+     * @param {Object} config The environment type
+     * @param {string} value The new type identifier
+     */
+    function renameType(config, value) {
+        const isOwnType = config.type !== '' && !isTypeShared(config)
+        for (const rule of draftRules) {
+            if (isOwnType && rule.environment === config.type) {
+                rule.environment = value
+            }
+        }
+        for (const project of draftProjects) {
+            for (const environment of project.environments) {
+                if (isOwnType && environment.type === config.type) {
+                    environment.type = value
+                }
+            }
+        }
+        for (const choices of [draftOverlays, draftAdminBarStyles]) {
+            if (isOwnType && Object.hasOwn(choices, config.type)) {
+                choices[value] = choices[config.type]
+                delete choices[config.type]
+            }
+        }
+        config.type = value
+        renderRules()
+        renderProjects()
+        renderIndicators()
+    }
+
+    /**
+     * Renders the environment types being edited
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderTypes() {
+        elements.typesList.replaceChildren(
+            ...draftTypes.map((config, index) => createTypeItem(config, index))
+        )
+        elements.typesEmpty.hidden = draftTypes.length > 0
+    }
+
+    /**
+     * Deletes an environment type
+     *
+     * @param {number} index The position of the type
+     */
+    function deleteType(index) {
+        draftTypes.splice(index, 1)
+        renderTypes()
+        renderRules()
+        renderProjects()
+        renderIndicators()
+    }
+
+    /**
+     * Creates the list item of a project environment
+     *
+     * @param {Object} project The project
+     * @param {Object} environment The project environment
+     * @returns {HTMLElement} The list item
+     */
+    function createProjectEnvironmentItem(project, environment) {
+        const item = document.createElement('li')
+        item.className = 'projects__environment'
+
+        const type = createSelect(
+            'projects__type',
+            getEnvironmentOptions(environment.type),
+            environment.type,
+            function (value) {
+                environment.type = value
+            }
+        )
+
+        const baseUrl = createInput(
+            'projects__url',
+            'https://staging.example.com',
+            environment.baseUrl,
+            function (value) {
+                environment.baseUrl = value
+            }
+        )
+        baseUrl.type = 'url'
+        baseUrl.setAttribute('aria-label', 'Adresse de base')
+
+        const remove = createIconButton('Supprimer', '✕', false, function () {
+            project.environments.splice(
+                project.environments.indexOf(environment),
+                1
+            )
+            renderProjects()
+        })
+
+        item.append(type, baseUrl, remove)
+        return item
+    }
+
+    /**
+     * Creates the list item of a project
+     *
+     * @param {Object} project The project
+     * @param {number} index The position of the project
+     * @returns {HTMLElement} The list item
+     */
+    function createProjectItem(project, index) {
+        const item = document.createElement('li')
+        item.className = 'projects__item'
+
+        const header = document.createElement('div')
+        header.className = 'projects__header'
+        header.append(
+            createInput(
+                'projects__name',
+                'Nom du projet',
+                project.name,
+                function (value) {
+                    project.name = value
+                }
+            ),
+            createIconButton('Supprimer le projet', '✕', false, () =>
+                deleteProject(index)
+            )
+        )
+
+        const environments = document.createElement('ul')
+        environments.className = 'projects__environments'
+        environments.append(
+            ...project.environments.map((environment) =>
+                createProjectEnvironmentItem(project, environment)
+            )
+        )
+
+        const add = document.createElement('button')
+        add.type = 'button'
+        add.className = 'button button--secondary'
+        add.textContent = 'Ajouter un environnement'
+        add.addEventListener('click', function () {
+            project.environments.push({ type: 'staging', baseUrl: '' })
+            renderProjects()
+        })
+
+        item.append(header, environments, add)
+        return item
+    }
+
+    /**
+     * Renders the projects being edited
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderProjects() {
+        elements.projectsList.replaceChildren(
+            ...draftProjects.map((project, index) =>
+                createProjectItem(project, index)
+            )
+        )
+        elements.projectsEmpty.hidden = draftProjects.length > 0
+    }
+
+    /**
+     * Deletes a project
+     *
+     * @param {number} index The position of the project
+     */
+    function deleteProject(index) {
+        draftProjects.splice(index, 1)
+        renderProjects()
+    }
+
+    /**
+     * Creates the select of a style chosen per environment type
+     *
+     * @param {Object} config The environment type
+     * @param {Object} labels The style labels keyed by value
+     * @param {Object} choices The styles being edited, keyed by type
+     * @param {string} label The accessible label
+     * @returns {HTMLSelectElement} The select element
+     */
+    function createStyleSelect(config, labels, choices, label) {
+        const select = createSelect(
+            'indicators__style',
+            labels,
+            choices[config.type] || '',
+            function (value) {
+                if (value) {
+                    choices[config.type] = value
+                } else {
+                    delete choices[config.type]
+                }
+            }
+        )
+        select.setAttribute('aria-label', label)
+        return select
+    }
+
+    /**
+     * Renders the admin bar style and the page overlay chosen for each
+     * environment type
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderIndicators() {
+        const types = WPEnvDetector.getEnvironmentTypes(
+            getTypeOptions(draftTypes)
+        )
+
+        elements.indicatorsList.replaceChildren(
+            ...Object.values(types)
+                .filter((config) => config.type !== '')
+                .map((config) => {
+                    const item = document.createElement('li')
+                    item.className = 'indicators__item'
+                    item.style.setProperty('--environment-color', config.color)
+
+                    const name = document.createElement('span')
+                    name.className = 'indicators__name'
+                    name.textContent = config.name || config.type
+
+                    item.append(
+                        name,
+                        createStyleSelect(
+                            config,
+                            ADMIN_BAR_LABELS,
+                            draftAdminBarStyles,
+                            `Barre d'administration pour ${name.textContent}`
+                        ),
+                        createStyleSelect(
+                            config,
+                            OVERLAY_LABELS,
+                            draftOverlays,
+                            `Repère sans barre pour ${name.textContent}`
+                        )
+                    )
+                    return item
+                })
+        )
+    }
+
+    /**
+     * Reads the styles chosen for the existing environment types
+     *
+     * @param {Object} choices The styles being edited, keyed by type
+     * @param {Array} styles The valid styles
+     * @param {Array} environmentTypes The user environment types
+     * @returns {Object} The styles keyed by type
+     */
+    function readTypeStyles(choices, styles, environmentTypes) {
+        const types = WPEnvDetector.getEnvironmentTypes(
+            getTypeOptions(environmentTypes)
+        )
+        return Object.fromEntries(
+            Object.entries(choices).filter(
+                ([type, style]) =>
+                    Object.hasOwn(types, type) && styles.includes(style)
+            )
+        )
+    }
+
+    /**
+     * Renders the checkboxes of the actions guarded on production
+     *
+     * @param {Array} guardedActions The identifiers of the guarded actions
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function renderGuardedActions(guardedActions) {
+        elements.safeguardActions.replaceChildren(
+            ...WPEnvSafeguard.getActions().map((action) => {
+                const checkbox = document.createElement('input')
+                checkbox.type = 'checkbox'
+                checkbox.value = action.id
+                checkbox.checked = guardedActions.includes(action.id)
+
+                const label = document.createElement('label')
+                label.className = 'settings__option'
+                label.append(checkbox, action.label)
+                return label
+            })
+        )
+    }
+
+    /**
+     * Reads the checked actions guarded on production
+     *
+     * @returns {Array} The identifiers of the guarded actions
+     */
+    function readGuardedActions() {
+        return Array.from(
+            elements.safeguardActions.querySelectorAll('input:checked'),
+            (checkbox) => checkbox.value
+        )
+    }
+
+    /**
+     * Moves a rule up or down in the priority order
+     *
+     * @param {number} index The position of the rule
+     * @param {number} offset -1 to move up, 1 to move down
+     */
+    function moveRule(index, offset) {
+        const [rule] = draftRules.splice(index, 1)
+        draftRules.splice(index + offset, 0, rule)
+        renderRules()
+    }
+
+    /**
+     * Deletes a rule
+     *
+     * @param {number} index The position of the rule
+     */
+    function deleteRule(index) {
+        draftRules.splice(index, 1)
+        renderRules()
+    }
+
+    /**
+     * Shows a status message next to the save button
+     *
+     * @param {string} message The message to show
+     * @param {boolean} isError Whether the message is an error
+     */
+    function showStatus(message, isError) {
+        elements.settingsStatus.textContent = message
+        elements.settingsStatus.classList.toggle(
+            'settings__status--error',
+            isError
+        )
+    }
+
+    /**
+     * Normalizes a production host line, stripping scheme, path and port
+     *
+     * @param {string} line The line typed by the user
+     * @returns {string} The host name or wildcard pattern
+     */
+    function normalizeHost(line) {
+        return line
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/:\d+$/, '')
+    }
+
+    /**
+     * Reads the hosts of a textarea, one per line
+     *
+     * @param {HTMLTextAreaElement} field The textarea
+     * @returns {Array} The unique, non-empty hosts
+     */
+    function readHosts(field) {
+        const hosts = field.value.split('\n').map(normalizeHost).filter(Boolean)
+        return [...new Set(hosts)]
+    }
+
+    /**
+     * Highlights the invalid item of a list
+     *
+     * @param {HTMLElement} list The list element
+     * @param {string} className The invalid modifier class
+     * @param {number} invalidIndex The invalid position, -1 if none
+     */
+    function markInvalidItem(list, className, invalidIndex) {
+        Array.from(list.children).forEach((item, index) => {
+            item.classList.toggle(className, index === invalidIndex)
+        })
+    }
+
+    /**
+     * Finds the first invalid environment type, including duplicates of
+     * another type or of a managed type
+     *
+     * @param {Array} types The environment types
+     * @returns {number} The invalid position, -1 if none
+     */
+    function findInvalidType(types) {
+        const managed = getManagedList('environmentTypes')
+        return types.findIndex(
+            (config, index) =>
+                !WPEnvDetector.isValidCustomType(config) ||
+                types.findIndex((other) => other.type === config.type) !==
+                    index ||
+                managed.some((other) => other.type === config.type)
+        )
+    }
+
+    /**
+     * Validates and saves the settings being edited
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function saveSettings() {
+        const environmentTypes = draftTypes.map((config) => ({
+            ...config,
+            name: String(config.name || '').trim(),
+            badgeText: String(config.badgeText || '').trim(),
+        }))
+        const rules = draftRules.map((rule) => ({
+            ...rule,
+            pattern: rule.pattern.trim(),
+        }))
+
+        const invalidType = findInvalidType(environmentTypes)
+        markInvalidItem(elements.typesList, 'types__item--invalid', invalidType)
+        if (invalidType !== -1) {
+            showStatus(
+                `Le type n°${
+                    invalidType + 1
+                } est invalide : vérifiez son nom et son identifiant.`,
+                true
+            )
+            return
+        }
+
+        const invalidRule = rules.findIndex(
+            (rule) =>
+                !WPEnvDetector.isValidRule(
+                    rule,
+                    getTypeOptions(environmentTypes)
+                )
+        )
+        markInvalidItem(elements.rulesList, 'rules__item--invalid', invalidRule)
+        if (invalidRule !== -1) {
+            showStatus(
+                `La règle n°${
+                    invalidRule + 1
+                } est invalide : vérifiez son motif.`,
+                true
+            )
+            return
+        }
+
+        const projects = draftProjects.map((project) => ({
+            ...project,
+            name: project.name.trim(),
+            environments: project.environments.map((environment) => ({
+                ...environment,
+                baseUrl: environment.baseUrl.trim(),
+            })),
+        }))
+        const invalidProject = projects.findIndex(
+            (project) =>
+                !WPEnvProjects.isValidProject(
+                    project,
+                    getTypeOptions(environmentTypes)
+                )
+        )
+        markInvalidItem(
+            elements.projectsList,
+            'projects__item--invalid',
+            invalidProject
+        )
+        if (invalidProject !== -1) {
+            showStatus(
+                `Le projet n°${
+                    invalidProject + 1
+                } est invalide : vérifiez son nom et ses adresses.`,
+                true
+            )
+            return
+        }
+
+        const productionHosts = readHosts(elements.productionHosts)
+        const stagingExclusions = readHosts(elements.stagingExclusions)
+        const overlays = readTypeStyles(
+            draftOverlays,
+            WPEnvDetector.CONFIG.overlayStyles,
+            environmentTypes
+        )
+        const adminBarStyles = readTypeStyles(
+            draftAdminBarStyles,
+            WPEnvDetector.CONFIG.adminBarStyles,
+            environmentTypes
+        )
+
+        try {
+            await WPEnvSettings.save({
+                rules,
+                environmentTypes,
+                projects,
+                productionHosts,
+                stagingExclusions,
+                overlays,
+                adminBarStyles,
+                tabTitlePrefix: elements.tabTitlePrefix.checked,
+                tabFavicon: elements.tabFavicon.checked,
+                guardedActions: readGuardedActions(),
+                debugWarning: elements.debugWarning.checked,
+            })
+            draftRules = rules
+            draftTypes = environmentTypes
+            draftProjects = projects
+            draftOverlays = overlays
+            draftAdminBarStyles = adminBarStyles
+            renderRules()
+            renderTypes()
+            renderProjects()
+            renderIndicators()
+            elements.productionHosts.value = productionHosts.join('\n')
+            elements.stagingExclusions.value = stagingExclusions.join('\n')
+            showStatus('Réglages enregistrés.', false)
+        } catch (error) {
+            showStatus(`Enregistrement impossible : ${error.message}`, true)
+        }
+    }
+
+    /**
+     * Initializes when DOM is ready
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init)
+    } else {
+        init()
+    }
+})()
@@ -0,0 +1,148 @@
+/**
+ * Site access script for WordPress Environment Indicator
+ * Lists the sites the extension may run on, and grants the sites named in
+ * the settings or every site in one click
+ */
+
+;(function () {
+    'use strict'
+
+    // DOM elements
+    const elements = {
+        list: document.getElementById('sites-list'),
+        empty: document.getElementById('sites-empty'),
+        grantSettings: document.getElementById('sites-settings'),
+        grantAll: document.getElementById('sites-all'),
+        status: document.getElementById('sites-status'),
+    }
+
+    // Sites named in the settings and not granted yet, requested on click
+    let missingPatterns = []
+
+    /**
+     * Sets up the event listeners
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function init() {
+        // Permission requests need the click, so nothing is awaited before
+        elements.grantSettings.addEventListener('click', function () {
+            grant(missingPatterns)
+        })
+        elements.grantAll.addEventListener('click', function () {
+            grant([WPEnvPermissions.ALL_SITES])
+        })
+
+        chrome.permissions.onAdded.addListener(renderSites)
+        chrome.permissions.onRemoved.addListener(renderSites)
+        WPEnvSettings.onChanged(renderSites)
+
+        renderSites()
+    }
+
+    /**
+     * Shows a status message under the access buttons
+     *
+     * @param {string} message The message to show
+     * @param {boolean} isError Whether the message is an error
+     */
+    function showStatus(message, isError) {
+        elements.status.textContent = message
+        elements.status.classList.toggle('settings__status--error', isError)
+    }
+
+    /**
+     * Creates the item of a granted site
+     *
+     * @param {string} pattern The match pattern of the site
+     * @returns {HTMLLIElement} The list item
+     */
+    function createSiteItem(pattern) {
+        const item = document.createElement('li')
+        item.className = 'sites__item'
+
+        const label = document.createElement('span')
+        label.textContent =
+            pattern === WPEnvPermissions.ALL_SITES ? 'Tous les sites' : pattern
+
+        const remove = document.createElement('button')
+        remove.type = 'button'
+        remove.className = 'button button--icon'
+        remove.title = 'Retirer'
+        remove.setAttribute('aria-label', `Retirer ${pattern}`)
+        remove.textContent = '✕'
+        remove.addEventListener('click', function () {
+            WPEnvPermissions.revoke([pattern]).catch((error) => {
+                showStatus(`Retrait impossible : ${error.message}`, true)
+            })
+        })
+
+        item.append(label, remove)
+        return item
+    }
+
+    /**
+     * Renders the granted sites and the sites of the settings left to grant
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function renderSites() {
+        const [granted, settings] = await Promise.all([
+            WPEnvPermissions.getGranted(),
+            WPEnvSettings.load(),
+        ])
+        const patterns = WPEnvPermissions.getSettingsPatterns(settings)
+        const covered = await Promise.all(
+            patterns.map((pattern) =>
+                chrome.permissions.contains({ origins: [pattern] })
+            )
+        )
+        missingPatterns = patterns.filter((pattern, index) => !covered[index])
+
+        elements.list.replaceChildren(...granted.map(createSiteItem))
+        elements.empty.hidden = granted.length > 0
+        elements.grantSettings.textContent = missingPatterns.length
+            ? `Autoriser les sites des réglages (${missingPatterns.length})`
+            : 'Sites des réglages autorisés'
+        elements.grantSettings.title = missingPatterns.join('\n')
+        elements.grantSettings.disabled = missingPatterns.length === 0
+        elements.grantAll.disabled = granted.includes(
+            WPEnvPermissions.ALL_SITES
+        )
+    }
+
+    /**
+     * Asks the user to grant sites
+     *
+     * @param {Array<string>} patterns The match patterns to grant
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function grant(patterns) {
+        if (patterns.length === 0) {
+            return
+        }
+
+        WPEnvPermissions.request(patterns)
+            .then((granted) => {
+                showStatus(granted ? 'Accès accordé.' : 'Accès refusé.', false)
+            })
+            .catch((error) => {
+                showStatus(`Autorisation impossible : ${error.message}`, true)
+            })
+    }
+
+    /**
+     * Initializes when DOM is ready
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init)
+    } else {
+        init()
+    }
+})()
@@ -0,0 +1,555 @@
+/**
+ * Import and export script for WordPress Environment Indicator
+ * Exports the user settings as a versioned JSON document and imports such a
+ * document back, after validation and a preview of the changes
+ */
+
+;(function () {
+    'use strict'
+
+    // DOM elements
+    const elements = {
+        exportButton: document.getElementById('transfer-export'),
+        importButton: document.getElementById('transfer-import'),
+        importFile: document.getElementById('transfer-file'),
+        preview: document.getElementById('transfer-preview'),
+        previewList: document.getElementById('transfer-preview-list'),
+        modeInputs: document.querySelectorAll('input[name="transfer-mode"]'),
+        apply: document.getElementById('transfer-apply'),
+        cancel: document.getElementById('transfer-cancel'),
+        status: document.getElementById('transfer-status'),
+    }
+
+    /**
+     * Settings document format
+     */
+    const DOCUMENT = {
+        format: 'wp-env-indicator-settings',
+        version: 1,
+    }
+
+    /**
+     * How each setting is validated and labelled
+     * List settings are merged by the identity of their items
+     */
+    const SCHEMA = {
+        rules: {
+            label: 'Règles',
+            isList: true,
+            isValid: (rule, settings) =>
+                typeof rule.id === 'string' &&
+                WPEnvDetector.isValidRule(rule, settings),
+        },
+        environmentTypes: {
+            label: "Types d'environnement",
+            isList: true,
+            isValid: (config) => WPEnvDetector.isValidCustomType(config),
+            // The type editor expects every field, older exports may omit some
+            normalize: (config) => ({
+                icon: WPEnvDetector.CONFIG.defaultIcon,
+                ...config,
+                badgeText: String(config.badgeText || ''),
+            }),
+        },
+        projects: {
+            label: 'Projets',
+            isList: true,
+            isValid: (project, settings) =>
+                typeof project.id === 'string' &&
+                WPEnvProjects.isValidProject(project, settings),
+        },
+        productionHosts: {
+            label: 'Sites de production',
+            isList: true,
+            isValid: (host) => typeof host === 'string' && host.trim() !== '',
+        },
+        stagingExclusions: {
+            label: 'Exclusions Staging',
+            isList: true,
+            isValid: (host) => typeof host === 'string' && host.trim() !== '',
+        },
+        openLinksInNewTab: {
+            label: 'Liens dans un nouvel onglet',
+            isValid: (value) => typeof value === 'boolean',
+        },
+        tabTitlePrefix: {
+            label: "Préfixe dans le titre de l'onglet",
+            isValid: (value) => typeof value === 'boolean',
+        },
+        tabFavicon: {
+            label: "Favicon teintée de l'onglet",
+            isValid: (value) => typeof value === 'boolean',
+        },
+        guardedActions: {
+            label: 'Protection de la production',
+            isValid: (value) => {
+                const ids = WPEnvSafeguard.getActions().map(
+                    (action) => action.id
+                )
+                return (
+                    Array.isArray(value) &&
+                    value.every((id) => ids.includes(id))
+                )
+            },
+        },
+        debugWarning: {
+            label: 'Alerte de débogage en production',
+            isValid: (value) => typeof value === 'boolean',
+        },
+        overlays: {
+            label: 'Repères sur le site',
+            isValid: (value) =>
+                isStyleMap(value, WPEnvDetector.CONFIG.overlayStyles),
+        },
+        adminBarStyles: {
+            label: "Barre d'administration",
+            isValid: (value) =>
+                isStyleMap(value, WPEnvDetector.CONFIG.adminBarStyles),
+        },
+    }
+
+    /**
+     * Checks if a value maps environment types to valid styles
+     *
+     * @param {*} value The imported value
+     * @param {Array} styles The valid styles
+     * @returns {boolean} True if the value is valid
+     */
+    function isStyleMap(value, styles) {
+        return (
+            value !== null &&
+            typeof value === 'object' &&
+            !Array.isArray(value) &&
+            Object.values(value).every((style) => styles.includes(style))
+        )
+    }
+
+    // Validated settings waiting for the user to apply them
+    let pendingSettings = null
+
+    /**
+     * Sets up the event listeners
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function init() {
+        elements.exportButton.addEventListener('click', exportSettings)
+        elements.importButton.addEventListener('click', function () {
+            elements.importFile.click()
+        })
+        elements.importFile.addEventListener('change', function () {
+            if (this.files[0]) {
+                readImportFile(this.files[0])
+            }
+            this.value = '' // Allow importing the same file again
+        })
+        elements.modeInputs.forEach((input) => {
+            input.addEventListener('change', renderPreview)
+        })
+        elements.apply.addEventListener('click', applyImport)
+        elements.cancel.addEventListener('click', function () {
+            closePreview()
+            showStatus('', false)
+        })
+    }
+
+    /**
+     * Shows a status message under the import/export buttons
+     *
+     * @param {string} message The message to show
+     * @param {boolean} isError Whether the message is an error
+     */
+    function showStatus(message, isError) {
+        elements.status.textContent = message
+        elements.status.classList.toggle('settings__status--error', isError)
+    }
+
+    /**
+     * Creates the settings document of the current settings
+     *
+     * @param {Object} settings The user settings
+     * @returns {Object} The versioned settings document
+     */
+    function createDocument(settings) {
+        const exported = {}
+        for (const name of Object.keys(SCHEMA)) {
+            exported[name] = settings[name]
+        }
+        return {
+            format: DOCUMENT.format,
+            version: DOCUMENT.version,
+            exportedAt: new Date().toISOString(),
+            settings: exported,
+        }
+    }
+
+    /**
+     * Downloads the user settings as a JSON file, without the managed ones
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function exportSettings() {
+        const settings = await WPEnvSettings.loadUserSettings()
+        const json = JSON.stringify(createDocument(settings), null, 2)
+        const url = URL.createObjectURL(
+            new Blob([json], { type: 'application/json' })
+        )
+
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `wp-env-indicator-settings-${new Date()
+            .toISOString()
+            .slice(0, 10)}.json`
+        link.click()
+        URL.revokeObjectURL(url)
+
+        showStatus('Réglages exportés.', false)
+    }
+
+    /**
+     * Checks an imported list item, an unexpected shape being invalid
+     *
+     * @param {Object} schema The schema of the setting
+     * @param {*} item The imported item
+     * @param {Object} options Detection options with the imported types
+     * @returns {boolean} True if the item is valid
+     */
+    function isValidItem(schema, item, options) {
+        try {
+            return schema.isValid(item, options)
+        } catch (error) {
+            return false
+        }
+    }
+
+    /**
+     * Finds an imported environment type defined twice in the file, or
+     * already defined by IT
+     *
+     * @param {Array} imported The imported types
+     * @param {Array} managed The managed types
+     * @returns {string|null} The duplicated type or null
+     */
+    function findDuplicateType(imported, managed) {
+        const seen = new Set(managed.map((config) => config.type))
+        for (const config of imported) {
+            if (config === null || typeof config !== 'object') {
+                continue
+            }
+            if (seen.has(config.type)) {
+                return config.type
+            }
+            seen.add(config.type)
+        }
+        return null
+    }
+
+    /**
+     * Validates a settings document
+     *
+     * @param {*} data The parsed JSON document
+     * @param {Object} managed The settings managed by IT
+     * @returns {Object} The imported `settings` and the validation `errors`
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function validateDocument(data, managed) {
+        if (
+            data === null ||
+            typeof data !== 'object' ||
+            data.format !== DOCUMENT.format
+        ) {
+            return {
+                settings: null,
+                errors: ["Ce fichier n'est pas un export de réglages."],
+            }
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return {
+                settings: null,
+                errors: ['Version du fichier manquante ou invalide.'],
+            }
+        }
+
+        if (data.version > DOCUMENT.version) {
+            return {
+                settings: null,
+                errors: [
+                    `Version ${data.version} non prise en charge : mettez l'extension à jour.`,
+                ],
+            }
+        }
+
+        const settings = {}
+        const errors = []
+        const imported =
+            data.settings !== null && typeof data.settings === 'object'
+                ? data.settings
+                : {}
+
+        for (const name of Object.keys(imported)) {
+            if (!(name in SCHEMA)) {
+                errors.push(`Réglage inconnu : « ${name} ».`)
+            }
+        }
+
+        // Rules and projects may use the imported or managed types
+        const options = {
+            environmentTypes: [
+                ...(managed.environmentTypes || []),
+                ...(Array.isArray(imported.environmentTypes)
+                    ? imported.environmentTypes
+                    : []),
+            ],
+        }
+
+        for (const [name, schema] of Object.entries(SCHEMA)) {
+            if (!(name in imported)) {
+                continue
+            }
+
+            const value = imported[name]
+            if (schema.isList && !Array.isArray(value)) {
+                errors.push(`${schema.label} : une liste est attendue.`)
+            } else if (schema.isList) {
+                const invalid = value.findIndex(
+                    (item) =>
+                        item === null || !isValidItem(schema, item, options)
+                )
+                if (invalid !== -1) {
+                    errors.push(
+                        `${schema.label} : l'élément n°${
+                            invalid + 1
+                        } est invalide.`
+                    )
+                }
+            } else if (!schema.isValid(value)) {
+                errors.push(`${schema.label} : valeur invalide.`)
+            }
+            settings[name] =
+                schema.normalize && Array.isArray(value)
+                    ? value.map(schema.normalize)
+                    : value
+        }
+
+        if (Array.isArray(imported.environmentTypes)) {
+            const duplicate = findDuplicateType(
+                imported.environmentTypes,
+                managed.environmentTypes || []
+            )
+            if (duplicate) {
+                errors.push(
+                    `${SCHEMA.environmentTypes.label} : « ${duplicate} » est défini plusieurs fois.`
+                )
+            }
+        }
+
+        return { settings: errors.length ? null : settings, errors }
+    }
+
+    /**
+     * Reads and validates the selected import file
+     *
+     * @param {File} file The JSON file
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function readImportFile(file) {
+        closePreview()
+
+        let data
+        try {
+            data = JSON.parse(await file.text())
+        } catch (error) {
+            showStatus('Fichier JSON illisible.', true)
+            return
+        }
+
+        const managed = await WPEnvSettings.loadManaged()
+        const { settings, errors } = validateDocument(data, managed)
+        if (errors.length) {
+            showStatus(errors.join(' '), true)
+            return
+        }
+
+        pendingSettings = settings
+        showStatus('', false)
+        renderPreview()
+    }
+
+    /**
+     * Merges an imported list into the current one
+     * Imported items replace the current items with the same key
+     *
+     * @param {Array} current The current items
+     * @param {Array} imported The imported items
+     * @param {string} name The setting key
+     * @returns {Array} The merged items
+     */
+    function mergeList(current, imported, name) {
+        const key = (item) => WPEnvSettings.getItemKey(name, item)
+        const merged = current.map((item) => {
+            const replacement = imported.find(
+                (other) => key(other) === key(item)
+            )
+            return replacement || item
+        })
+        for (const item of imported) {
+            if (!current.some((other) => key(other) === key(item))) {
+                merged.push(item)
+            }
+        }
+        return merged
+    }
+
+    /**
+     * Computes the settings resulting from an import
+     *
+     * @param {Object} current The current settings
+     * @param {Object} imported The imported settings
+     * @param {string} mode `merge` or `replace`
+     * @returns {Object} The resulting settings
+     */
+    function computeImport(current, imported, mode) {
+        const result = mode === 'replace' ? WPEnvSettings.getDefaults() : {}
+
+        for (const [name, schema] of Object.entries(SCHEMA)) {
+            if (!(name in imported)) {
+                result[name] = mode === 'replace' ? result[name] : current[name]
+            } else if (schema.isList && mode === 'merge') {
+                result[name] = mergeList(current[name], imported[name], name)
+            } else {
+                result[name] = imported[name]
+            }
+        }
+        return result
+    }
+
+    /**
+     * Describes the changes of one setting
+     *
+     * @param {string} name The setting key
+     * @param {*} before The current value
+     * @param {*} after The resulting value
+     * @returns {string|null} The description or null if unchanged
+     */
+    function describeChanges(name, before, after) {
+        const schema = SCHEMA[name]
+        if (!schema.isList) {
+            if (JSON.stringify(before) === JSON.stringify(after)) {
+                return null
+            }
+            return typeof after === 'boolean'
+                ? `${schema.label} : ${before ? 'oui' : 'non'} → ${
+                      after ? 'oui' : 'non'
+                  }`
+                : `${schema.label} : modifié(s)`
+        }
+
+        const find = (list, item) =>
+            list.find(
+                (other) =>
+                    WPEnvSettings.getItemKey(name, other) ===
+                    WPEnvSettings.getItemKey(name, item)
+            )
+        const added = after.filter((item) => !find(before, item)).length
+        const removed = before.filter((item) => !find(after, item)).length
+        const changed = after.filter((item) => {
+            const previous = find(before, item)
+            return previous && JSON.stringify(previous) !== JSON.stringify(item)
+        }).length
+
+        return added || removed || changed
+            ? `${schema.label} : +${added} ajouté(s), ${changed} modifié(s), −${removed} supprimé(s)`
+            : null
+    }
+
+    /**
+     * Returns the selected import mode
+     *
+     * @returns {string} `merge` or `replace`
+     */
+    function getMode() {
+        const checked = Array.from(elements.modeInputs).find(
+            (input) => input.checked
+        )
+        return checked ? checked.value : 'merge'
+    }
+
+    /**
+     * Renders the preview of the pending import
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function renderPreview() {
+        if (!pendingSettings) {
+            return
+        }
+
+        const current = await WPEnvSettings.loadUserSettings()
+        const result = computeImport(current, pendingSettings, getMode())
+        const changes = Object.keys(SCHEMA)
+            .map((name) => describeChanges(name, current[name], result[name]))
+            .filter(Boolean)
+
+        const items = (changes.length ? changes : ['Aucun changement']).map(
+            (change) => {
+                const item = document.createElement('li')
+                item.className = 'transfer__change'
+                item.textContent = change
+                return item
+            }
+        )
+        elements.previewList.replaceChildren(...items)
+        elements.apply.disabled = changes.length === 0
+        elements.preview.hidden = false
+    }
+
+    /**
+     * Hides the preview and forgets the pending import
+     */
+    function closePreview() {
+        pendingSettings = null
+        elements.preview.hidden = true
+        elements.previewList.replaceChildren()
+    }
+
+    /**
+     * Saves the settings resulting from the pending import
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function applyImport() {
+        if (!pendingSettings) {
+            return
+        }
+
+        try {
+            const current = await WPEnvSettings.loadUserSettings()
+            await WPEnvSettings.save(
+                computeImport(current, pendingSettings, getMode())
+            )
+            closePreview()
+            showStatus('Réglages importés.', false)
+        } catch (error) {
+            showStatus(`Import impossible : ${error.message}`, true)
+        }
+    }
+
+    /**
+     * Initializes when DOM is ready
+     *
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init)
+    } else {
+        init()
+    }
+})()
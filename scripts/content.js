@@ -1,41 +1,23 @@
 /**
  * Content script for WordPress Environment Indicator
- * Detects the current environment and injects a badge into the WordPress admin bar
+ * Detects the current environment and injects a badge into the WordPress admin
+ * bar, or an overlay on pages without the admin bar
  */
 
 ;(function () {
     'use strict'
 
+    // Run once per document, even if the script is injected again
+    if (window.wpEnvIndicatorLoaded) {
+        return
+    }
+    window.wpEnvIndicatorLoaded = true
+
     /**
      * Main configuration object
      * Contains all constants and configuration values for the extension
      */
     const CONFIG = {
-        // Environment detection configuration
-        environment: {
-            types: {
-                development: {
-                    type: 'development',
-                    name: 'Development',
-                    localColor: '#28a745', // Green for localhost
-                    tldColor: '#4f39f6', // Blue for TLDs
-                },
-                staging: {
-                    type: 'staging',
-                    name: 'Staging',
-                    color: '#e60076',
-                },
-            },
-            developmentTlds: ['.dev', '.test', '.local'],
-            stagingPatterns: [
-                /staging/i,
-                /stage/i,
-                /preview/i,
-                /demo/i,
-                /test/i,
-            ],
-        },
-
         // Badge and UI configuration
         badge: {
             element: {
@@ -48,6 +30,7 @@
                 role: 'menuitem',
                 href: '#',
             },
+            adminBarClassName: 'wp-env-adminbar',
             injectionSelectors: [
                 '#wp-admin-bar-site-name',
                 '#wp-admin-bar-root-default',
@@ -55,6 +38,51 @@
             ],
         },
 
+        // Editors without the admin bar (block editor, Site Editor, Customizer)
+        editor: {
+            element: {
+                id: 'wp-env-editor-badge',
+                className: 'wp-env-editor-badge',
+            },
+            bodyClasses: [
+                'block-editor-page',
+                'site-editor-php',
+                'wp-customizer',
+            ],
+            injectionSelectors: [
+                '.editor-header__settings',
+                '.edit-post-header__settings',
+                '.edit-site-header-edit-mode__actions',
+                '#customize-header-actions',
+            ],
+        },
+
+        // Banner above the form of wp-login.php
+        login: {
+            element: {
+                id: 'wp-env-login-banner',
+                className: 'wp-env-login-banner',
+                role: 'note',
+            },
+            bodyClass: 'login',
+            container: '#login',
+        },
+
+        // URL changes of single-page admin screens (Site Editor, WooCommerce...)
+        navigation: {
+            // Leaves the page time to render the new screen
+            delay: 100,
+        },
+
+        // Search engine indexing directives of frontend pages
+        robots: {
+            selector: 'meta[name="robots"]',
+            blockingDirectives: ['noindex', 'none'],
+            adminBodyClass: 'wp-admin',
+            // Local development sites cannot be crawled anyway
+            ignoredTypes: ['development'],
+        },
+
         // WordPress detection configuration
         wordpress: {
             selectors: {
@@ -63,8 +91,12 @@
                 content: '#wpcontent',
                 footer: '#wpfooter',
                 generator: 'meta[name="generator"]',
+                // Frontend signals kept by themes that strip the generator tag
+                restApi: 'link[rel="https://api.w.org/"]',
+                assets: 'link[href*="/wp-content/"], link[href*="/wp-includes/"], script[src*="/wp-content/"], script[src*="/wp-includes/"]',
+                environmentType: `meta[name="${WPEnvDetector.CONFIG.declared.metaName}"]`,
             },
-            bodyClasses: ['wp-admin', 'admin-bar'],
+            bodyClasses: ['wp-admin', 'admin-bar', 'wp-customizer'],
             elementIds: ['#wpbody', '#wpcontent', '#wpfooter'],
             info: {
                 patterns: {
@@ -79,6 +111,7 @@
                 },
                 selectors: {
                     generator: 'meta[name="generator"]',
+                    restApi: 'link[rel="https://api.w.org/"]',
                     scripts: 'script[src*="wp-includes"]',
                     themeStylesheet: 'link[rel="stylesheet"][href*="themes"]',
                 },
@@ -88,136 +121,131 @@
                     theme: '-',
                 },
             },
+            multisite: {
+                networkAdminPath: '/wp-admin/network/',
+                bodyClasses: {
+                    multisite: 'multisite',
+                    networkAdmin: 'network-admin',
+                },
+                selectors: {
+                    mySites: '#wp-admin-bar-my-sites',
+                    siteName: '#wp-admin-bar-site-name > a',
+                    sites: '#wp-admin-bar-my-sites-list li[id^="wp-admin-bar-blog-"]',
+                },
+                patterns: {
+                    blogId: /^wp-admin-bar-blog-(\d+)$/,
+                    adminPath: /\/wp-admin(\/.*)?$/,
+                },
+            },
         },
     }
 
-    /**
-     * Returns an array of SVG icons for the environment types
-     *
-     * @returns {Array} Array of SVG icons
-     */
-    function svgIconsArray() {
-        return [
-            {
-                name: 'development',
-                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M22.7 19l-9.1-9.1c.9-2.3.4-5-1.5-6.9-2-2-5-2.4-7.4-1.3L9 6 6 9 1.6 4.7C.4 7.1.9 10.1 2.9 12.1c1.9 1.9 4.6 2.4 6.9 1.5l9.1 9.1c.4.4 1 .4 1.4 0l2.3-2.3c.5-.4.5-1.1.1-1.4z"/></svg>',
-            },
-            {
-                name: 'staging',
-                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>',
-            },
-        ]
-    }
+    // User settings (custom rules...), loaded from storage on init
+    let settings = WPEnvSettings.getDefaults()
 
     /**
-     * Checks if hostname is a local development environment
+     * Loads the user settings used for detection
      *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if local development
+     * @returns {Promise<void>}
      */
-    function isLocalDevelopment(hostname) {
-        return hostname === 'localhost' || hostname.startsWith('127.')
+    async function loadSettings() {
+        settings = await WPEnvSettings.load()
     }
 
-    /**
-     * Checks if hostname uses development TLD
-     *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if development TLD
-     */
-    function isDevelopmentTLD(hostname) {
-        return CONFIG.environment.developmentTlds.some((tld) =>
-            hostname.endsWith(tld)
-        )
-    }
+    // Environment type sent by the server in the response header
+    let headerEnvironmentType = null
 
     /**
-     * Checks if hostname matches staging patterns
+     * Loads the environment type the service worker read from the response
+     * header of this page
      *
-     * @param {string} hostname The hostname to check
-     * @returns {boolean} True if staging environment
+     * @returns {Promise<void>}
      */
-    function isStagingEnvironment(hostname) {
-        return CONFIG.environment.stagingPatterns.some((pattern) =>
-            pattern.test(hostname)
-        )
+    async function loadHeaderEnvironmentType() {
+        try {
+            headerEnvironmentType = await chrome.runtime.sendMessage({
+                action: 'getDeclaredEnvironment',
+            })
+        } catch (error) {
+            headerEnvironmentType = null
+        }
     }
 
-    /**
-     * Gets the appropriate icon for an environment type
-     *
-     * @param {string} environmentType The environment type
-     * @returns {string} The SVG icon
-     */
-    function getEnvironmentIcon(environmentType) {
-        return svgIconsArray().find((icon) => icon.name === environmentType)
-            .icon
-    }
+    // X-Robots-Tag response header of this page
+    let robotsHeader = null
 
     /**
-     * Creates a development environment object
+     * Loads the X-Robots-Tag header the service worker read from the
+     * response of this page
      *
-     * @param {boolean} isLocal Whether it's a local development environment
-     * @returns {Object} Development environment configuration
+     * @returns {Promise<void>}
      */
-    function createDevelopmentEnvironment(isLocal) {
-        const config = CONFIG.environment.types.development
-        return {
-            type: config.type,
-            name: config.name,
-            color: isLocal ? config.localColor : config.tldColor,
-            icon: getEnvironmentIcon(config.type),
+    async function loadRobotsHeader() {
+        try {
+            robotsHeader = await chrome.runtime.sendMessage({
+                action: 'getRobotsHeader',
+            })
+        } catch (error) {
+            robotsHeader = null
         }
     }
 
+    // Settings and headers of the page, loaded once on first use
+    let pageDataLoaded = null
+
     /**
-     * Creates a staging environment object
+     * Loads the settings and the response headers used for detection, once
+     * Called by init on WordPress pages, or by the popup on other pages
      *
-     * @returns {Object} Staging environment configuration
+     * @returns {Promise<void>}
      */
-    function createStagingEnvironment() {
-        const config = CONFIG.environment.types.staging
-        return {
-            type: config.type,
-            name: config.name,
-            color: config.color,
-            icon: getEnvironmentIcon(config.type),
+    function loadPageData() {
+        if (!pageDataLoaded) {
+            pageDataLoaded = Promise.all([
+                loadSettings(),
+                loadHeaderEnvironmentType(),
+                loadRobotsHeader(),
+            ])
         }
+        return pageDataLoaded
     }
 
     /**
-     * Detects environment type based on hostname
+     * Reads the environment type declared by the site in a meta tag
      *
-     * @param {string} hostname The hostname to analyze
-     * @returns {Object|null} Environment configuration or null
+     * @returns {string|null} The declared environment type or null
      */
-    function detectEnvironmentType(hostname) {
-        if (isLocalDevelopment(hostname)) {
-            return createDevelopmentEnvironment(true)
-        }
-
-        if (isDevelopmentTLD(hostname)) {
-            return createDevelopmentEnvironment(false)
-        }
-
-        if (isStagingEnvironment(hostname)) {
-            return createStagingEnvironment()
-        }
-
-        return null
+    function getMetaEnvironmentType() {
+        const meta = document.querySelector(
+            CONFIG.wordpress.selectors.environmentType
+        )
+        return meta ? meta.content : null
     }
 
     /**
      * Detects the current environment
      *
-     * @description Detects the current environment based on the hostname and protocol
-     * @returns {Object|null} The environment object or null for production
+     * @description Detects the current environment from the type declared by
+     * the site (meta tag, then response header), then from the hostname
+     * @returns {Object|null} The environment object or null if not detected
      * @since 0.1
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
     function detectEnvironment() {
-        const hostname = window.location.hostname
-        return detectEnvironmentType(hostname)
+        return explainEnvironment().environment
+    }
+
+    /**
+     * Explains the detection of the current environment
+     *
+     * @returns {Object} The detector trace, see explainEnvironmentType
+     */
+    function explainEnvironment() {
+        return WPEnvDetector.explainEnvironmentType(
+            window.location.hostname,
+            settings,
+            { declaredType: getMetaEnvironmentType() || headerEnvironmentType }
+        )
     }
 
     /**
@@ -265,6 +293,40 @@
         return generator !== null && generator.content.includes('WordPress')
     }
 
+    /**
+     * Checks if the page advertises the WordPress REST API
+     *
+     * @returns {boolean} True if the REST API link is found
+     */
+    function hasWordPressRestApiLink() {
+        return (
+            document.querySelector(CONFIG.wordpress.selectors.restApi) !== null
+        )
+    }
+
+    /**
+     * Checks if the page loads scripts or styles from WordPress folders
+     *
+     * @returns {boolean} True if a `wp-content` or `wp-includes` asset is found
+     */
+    function hasWordPressAssets() {
+        return (
+            document.querySelector(CONFIG.wordpress.selectors.assets) !== null
+        )
+    }
+
+    /**
+     * Checks if the page is the WordPress login screen
+     *
+     * @returns {boolean} True on wp-login.php
+     */
+    function isWordPressLoginPage() {
+        return (
+            document.body.classList.contains(CONFIG.login.bodyClass) &&
+            document.querySelector(CONFIG.login.container) !== null
+        )
+    }
+
     /**
      * WordPress detection methods in order of reliability
      */
@@ -273,8 +335,29 @@
         hasWordPressBodyClasses,
         hasWordPressElements,
         hasWordPressGenerator,
+        isWordPressLoginPage,
+        hasWordPressRestApiLink,
+        hasWordPressAssets,
     ]
 
+    /**
+     * Explains why the badge is shown: the checks of the detector and the
+     * WordPress detection methods that succeeded
+     *
+     * @returns {Object} The detector trace with the `wordpressMethods`
+     */
+    function getDetectionTrace() {
+        const { environment, ...trace } = explainEnvironment()
+        return {
+            ...trace,
+            type: environment ? environment.type : null,
+            wordpressMethods: WORDPRESS_DETECTION_METHODS.map((method) => ({
+                name: method.name,
+                matched: method(),
+            })),
+        }
+    }
+
     /**
      * Checks if we're on a WordPress site and logged in
      *
@@ -310,17 +393,182 @@
         link.className = `${CONFIG.badge.link.baseClassName} wp-env-${environment.type}`
         link.setAttribute('role', CONFIG.badge.link.role)
         link.href = CONFIG.badge.link.href
+        // Use the detected colors so the badge matches the toolbar and popup
+        link.style.setProperty('--wp-env-bg', environment.color)
+        link.style.setProperty('--wp-env-fg', environment.textColor)
         return link
     }
 
+    /**
+     * Escapes a user-defined string for use in HTML
+     *
+     * @param {string} value The string to escape
+     * @returns {string} The escaped string
+     */
+    function escapeHtml(value) {
+        const span = document.createElement('span')
+        span.textContent = value
+        return span.innerHTML
+    }
+
     /**
      * Creates the badge text content
      *
-     * @param {string} environmentName The environment name
+     * @param {Object} environment The environment object
      * @returns {string} The HTML content for the badge text
      */
-    function createBadgeText(environmentName) {
-        return `<span class="wp-env-text">${environmentName}</span>`
+    function createBadgeText(environment) {
+        const network = isNetworkAdmin()
+            ? '<span class="wp-env-network">Network</span>'
+            : ''
+        return `<span class="wp-env-text"><span class="wp-env-icon" aria-hidden="true">${
+            environment.icon
+        }</span>${escapeHtml(environment.name)}${network}</span>`
+    }
+
+    /**
+     * Adds a warning sign to the badge, described by the warnings
+     *
+     * @param {HTMLElement} link The badge link element
+     * @param {Array<string>} warnings The warnings about the page
+     * @returns {void}
+     */
+    function appendBadgeWarnings(link, warnings) {
+        if (warnings.length === 0) {
+            return
+        }
+
+        const warning = document.createElement('span')
+        warning.className = 'wp-env-warning'
+        warning.textContent = '⚠'
+        warning.title = warnings.join('\n')
+        warning.setAttribute('role', 'img')
+        warning.setAttribute('aria-label', warnings.join('. '))
+        link.querySelector('.wp-env-text').appendChild(warning)
+    }
+
+    // Result of the last cross-environment scan, kept for the page it ran on
+    let lastScan = null
+
+    /**
+     * Adds the number of URLs found by the last scan of this page to the
+     * badge
+     *
+     * @param {HTMLElement} link The badge link element
+     * @returns {void}
+     */
+    function appendBadgeScanCount(link) {
+        if (!lastScan || lastScan.url !== window.location.href) {
+            return
+        }
+
+        const count = document.createElement('span')
+        count.className = 'wp-env-count'
+        count.textContent = lastScan.total
+        count.title = `${lastScan.total} URL vers d'autres environnements`
+        link.querySelector('.wp-env-text').appendChild(count)
+    }
+
+    /**
+     * Scans the page for URLs pointing to other environments and shows
+     * their number on the badge
+     *
+     * @returns {Object} The scan result
+     */
+    function scanEnvironmentUrls() {
+        const result = WPEnvScan.scan(settings)
+        lastScan = { url: window.location.href, total: result.total }
+
+        const link = document.querySelector(
+            `#${CONFIG.badge.element.id} .wp-env-badge-link`
+        )
+        if (link) {
+            const previous = link.querySelector('.wp-env-count')
+            if (previous) {
+                previous.remove()
+            }
+            appendBadgeScanCount(link)
+        }
+        return result
+    }
+
+    /**
+     * Reads the indexing directives of the page from the robots meta tags,
+     * including the `wp-robots` output, and the X-Robots-Tag header
+     *
+     * @returns {Object} The `meta` and `header` directives and whether the
+     * page `isIndexable`
+     */
+    function getRobotsInfo() {
+        const meta = Array.from(
+            document.querySelectorAll(CONFIG.robots.selector),
+            (element) => element.content
+        ).join(', ')
+        const directives = `${meta},${robotsHeader || ''}`
+            .toLowerCase()
+            .split(/[\s,]+/)
+
+        return {
+            meta: meta || null,
+            header: robotsHeader || null,
+            isIndexable: !CONFIG.robots.blockingDirectives.some((directive) =>
+                directives.includes(directive)
+            ),
+        }
+    }
+
+    /**
+     * Checks the indexing of a frontend page against its environment
+     * Admin and login pages are never indexed, whatever the environment
+     *
+     * @param {Object} environment The environment object
+     * @returns {string|null} The warning or null if they match
+     */
+    function getRobotsWarning(environment) {
+        if (
+            document.body.classList.contains(CONFIG.robots.adminBodyClass) ||
+            isWordPressLoginPage() ||
+            CONFIG.robots.ignoredTypes.includes(environment.type)
+        ) {
+            return null
+        }
+
+        const robots = getRobotsInfo()
+        if (environment.type === 'production' && !robots.isIndexable) {
+            return 'Production non indexable : les moteurs de recherche sont bloqués (noindex)'
+        }
+        if (environment.type !== 'production' && robots.isIndexable) {
+            return `${environment.name} indexable : les moteurs de recherche ne sont pas bloqués`
+        }
+        return null
+    }
+
+    /**
+     * Lists the warnings about the page for the environment, e.g. debug
+     * features left enabled on production or indexing not matching the
+     * environment
+     *
+     * @param {Object} environment The environment object
+     * @returns {Array<string>} The warnings
+     */
+    function getPageWarnings(environment) {
+        const warnings = []
+        if (environment.type === 'production' && settings.debugWarning) {
+            const signals = WPEnvDebug.detect()
+            if (signals.length) {
+                warnings.push(
+                    `Débogage actif en production : ${signals
+                        .map((signal) => signal.label)
+                        .join(', ')}`
+                )
+            }
+        }
+
+        const robotsWarning = getRobotsWarning(environment)
+        if (robotsWarning) {
+            warnings.push(robotsWarning)
+        }
+        return warnings
     }
 
     /**
@@ -340,15 +588,18 @@
      * Creates the environment badge for WordPress admin bar
      *
      * @param {Object} environment The environment object
+     * @param {Array<string>} [warnings] The warnings about the page
      * @returns {HTMLElement} The badge element
      * @since 0.1
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function createEnvironmentBadge(environment) {
+    function createEnvironmentBadge(environment, warnings = []) {
         const badge = createBadgeContainer()
         const link = createBadgeLink(environment)
 
-        link.innerHTML = createBadgeText(environment.name)
+        link.innerHTML = createBadgeText(environment)
+        appendBadgeWarnings(link, warnings)
+        appendBadgeScanCount(link)
         addBadgeClickHandler(link)
 
         badge.appendChild(link)
@@ -411,6 +662,231 @@
         }
     }
 
+    // Environment of the editor badge, kept to restore it after re-renders
+    let editorEnvironment = null
+
+    // Watches the editor regions re-rendered by React
+    let editorObserver = null
+
+    /**
+     * Checks if the page is an editor without the admin bar
+     *
+     * @returns {boolean} True on editor pages
+     */
+    function isEditorPage() {
+        return CONFIG.editor.bodyClasses.some((className) =>
+            document.body.classList.contains(className)
+        )
+    }
+
+    /**
+     * Finds the editor header receiving the badge
+     *
+     * @returns {Element|null} The injection point or null
+     */
+    function findEditorInjectionPoint() {
+        for (const selector of CONFIG.editor.injectionSelectors) {
+            const element = document.querySelector(selector)
+            if (element) {
+                return element
+            }
+        }
+        return null
+    }
+
+    /**
+     * Creates the environment badge for the editor header
+     *
+     * @param {Object} environment The environment object
+     * @returns {HTMLElement} The badge element
+     */
+    function createEditorBadge(environment) {
+        const badge = document.createElement('div')
+        badge.id = CONFIG.editor.element.id
+        badge.className = CONFIG.editor.element.className
+
+        const link = createBadgeLink(environment)
+        link.innerHTML = createBadgeText(environment)
+        addBadgeClickHandler(link)
+
+        badge.appendChild(link)
+        return badge
+    }
+
+    /**
+     * Puts the editor badge back in the header if React removed it
+     *
+     * @returns {void}
+     */
+    function placeEditorBadge() {
+        const target = findEditorInjectionPoint()
+        const existing = document.getElementById(CONFIG.editor.element.id)
+        if (existing && existing.parentNode === target) {
+            return
+        }
+
+        if (existing) {
+            existing.remove()
+        }
+        if (editorEnvironment && target) {
+            target.prepend(createEditorBadge(editorEnvironment))
+        }
+    }
+
+    /**
+     * Watches the editor regions, at most once per animation frame
+     *
+     * @returns {void}
+     */
+    function observeEditor() {
+        if (editorObserver) {
+            return
+        }
+
+        let isPending = false
+        editorObserver = new MutationObserver(function () {
+            if (isPending) {
+                return
+            }
+            isPending = true
+            requestAnimationFrame(function () {
+                isPending = false
+                placeEditorBadge()
+            })
+        })
+        editorObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+        })
+    }
+
+    /**
+     * Stops watching the editor regions once the page has no editor badge
+     *
+     * @returns {void}
+     */
+    function stopObservingEditor() {
+        if (editorObserver) {
+            editorObserver.disconnect()
+            editorObserver = null
+        }
+    }
+
+    /**
+     * Shows the badge in the editor header on editor pages
+     *
+     * @param {Object|null} environment The environment object, null to remove
+     * @returns {boolean} True if the page shows the editor badge
+     */
+    function updateEditorBadge(environment) {
+        const existing = document.getElementById(CONFIG.editor.element.id)
+        if (existing) {
+            existing.remove()
+        }
+
+        editorEnvironment = environment && isEditorPage() ? environment : null
+        if (!editorEnvironment) {
+            stopObservingEditor()
+            return false
+        }
+
+        observeEditor()
+        placeEditorBadge()
+        return true
+    }
+
+    /**
+     * Creates the environment banner of the login screen
+     *
+     * @param {Object} environment The environment object
+     * @returns {HTMLElement} The banner element
+     */
+    function createLoginBanner(environment) {
+        const banner = document.createElement('div')
+        banner.id = CONFIG.login.element.id
+        banner.className = `${CONFIG.login.element.className} wp-env-${environment.type}`
+        banner.setAttribute('role', CONFIG.login.element.role)
+        banner.style.setProperty('--wp-env-bg', environment.color)
+        banner.style.setProperty('--wp-env-fg', environment.textColor)
+        banner.innerHTML = `<span class="wp-env-icon" aria-hidden="true">${
+            environment.icon
+        }</span><span class="wp-env-login-name">${escapeHtml(
+            environment.name
+        )}</span><span class="wp-env-login-host">${escapeHtml(
+            window.location.hostname
+        )}</span>`
+        return banner
+    }
+
+    /**
+     * Shows the environment banner above the login form
+     *
+     * @param {Object|null} environment The environment object, null to remove
+     * @returns {boolean} True if the banner is shown
+     */
+    function updateLoginBanner(environment) {
+        const existing = document.getElementById(CONFIG.login.element.id)
+        if (existing) {
+            existing.remove()
+        }
+
+        if (!environment || !isWordPressLoginPage()) {
+            return false
+        }
+
+        document
+            .querySelector(CONFIG.login.container)
+            .prepend(createLoginBanner(environment))
+        return true
+    }
+
+    /**
+     * Restyles the whole admin bar with the style chosen for the environment
+     *
+     * @param {Object|null} environment The environment object, null to reset
+     * @returns {void}
+     */
+    function updateAdminBar(environment) {
+        const adminBar = document.querySelector(
+            CONFIG.wordpress.selectors.adminBar
+        )
+        if (!adminBar) {
+            return
+        }
+
+        const className = CONFIG.badge.adminBarClassName
+        for (const style of WPEnvDetector.CONFIG.adminBarStyles) {
+            adminBar.classList.remove(`${className}--${style}`)
+        }
+
+        const style = environment && settings.adminBarStyles[environment.type]
+        if (!WPEnvDetector.CONFIG.adminBarStyles.includes(style)) {
+            adminBar.style.removeProperty('--wp-env-bar-bg')
+            adminBar.style.removeProperty('--wp-env-bar-fg')
+            return
+        }
+
+        adminBar.classList.add(`${className}--${style}`)
+        adminBar.style.setProperty('--wp-env-bar-bg', environment.color)
+        adminBar.style.setProperty('--wp-env-bar-fg', environment.textColor)
+    }
+
+    /**
+     * Shows the overlay chosen for the environment on pages without badge
+     *
+     * @param {Object} environment The environment object
+     * @param {boolean} hasBadge Whether the badge was injected
+     * @returns {void}
+     */
+    function updateOverlay(environment, hasBadge) {
+        const style = settings.overlays[environment.type]
+        if (hasBadge || !style) {
+            WPEnvOverlay.remove()
+        } else {
+            WPEnvOverlay.show(environment, style)
+        }
+    }
+
     /**
      * Stores environment data for popup
      *
@@ -435,6 +911,7 @@
         chrome.runtime.sendMessage({
             action: 'environmentUpdated',
             data: environment,
+            declaredType: getMetaEnvironmentType(),
         })
     }
 
@@ -449,21 +926,73 @@
         removeExistingBadge()
 
         if (!shouldInjectBadge()) {
+            updateEditorBadge(null)
+            updateLoginBanner(null)
+            updateAdminBar(null)
+            WPEnvOverlay.remove()
+            WPEnvTab.reset()
+            WPEnvSafeguard.update(null, [])
             return
         }
 
         const environment = detectEnvironment()
-        const badge = createEnvironmentBadge(environment)
+        const badge = createEnvironmentBadge(
+            environment,
+            getPageWarnings(environment)
+        )
         const injectionPoint = findBadgeInjectionPoint()
 
         if (injectionPoint) {
             injectBadgeAtElement(injectionPoint, badge)
         }
+        const hasEditorBadge = updateEditorBadge(environment)
+        const hasLoginBanner = updateLoginBanner(environment)
+        updateAdminBar(environment)
+        updateOverlay(
+            environment,
+            injectionPoint !== null || hasEditorBadge || hasLoginBanner
+        )
+        WPEnvTab.apply(environment, {
+            title: settings.tabTitlePrefix,
+            favicon: settings.tabFavicon,
+        })
+        WPEnvSafeguard.update(
+            environment.type === 'production' ? environment : null,
+            settings.guardedActions
+        )
 
         storeEnvironmentData(environment)
         notifyEnvironmentChange(environment)
     }
 
+    /**
+     * Re-injects the badge when the URL changes without a page load
+     * Uses the Navigation API, which also reports `history.pushState()`,
+     * falling back to the back/forward and hash events
+     *
+     * @returns {void}
+     */
+    function watchNavigation() {
+        let lastUrl = window.location.href
+        const handleNavigation = function () {
+            if (window.location.href === lastUrl) {
+                return
+            }
+            lastUrl = window.location.href
+            setTimeout(injectBadge, CONFIG.navigation.delay)
+        }
+
+        if (window.navigation) {
+            window.navigation.addEventListener(
+                'currententrychange',
+                handleNavigation
+            )
+        } else {
+            window.addEventListener('popstate', handleNavigation)
+            window.addEventListener('hashchange', handleNavigation)
+        }
+    }
+
     /**
      * Initializes the extension
      *
@@ -471,22 +1000,29 @@
      * @since 0.1
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
-    function init() {
+    async function init() {
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', injectBadge)
-        } else {
-            injectBadge()
+            await new Promise((resolve) =>
+                document.addEventListener('DOMContentLoaded', resolve, {
+                    once: true,
+                })
+            )
         }
 
-        // Re-inject on navigation (for SPA-like behavior)
-        let lastUrl = window.location.href
-        new MutationObserver(() => {
-            const currentUrl = window.location.href
-            if (currentUrl !== lastUrl) {
-                lastUrl = currentUrl
-                setTimeout(injectBadge, 100) // Small delay to ensure DOM is updated
-            }
-        }).observe(document, { subtree: true, childList: true })
+        // Pages that are not WordPress only answer the popup, on demand
+        if (!isWordPressSite()) {
+            return
+        }
+
+        await loadPageData()
+        injectBadge()
+        watchNavigation()
+
+        // Re-inject when the user edits the settings
+        WPEnvSettings.onChanged(async function () {
+            await loadSettings()
+            injectBadge()
+        })
     }
 
     /**
@@ -501,15 +1037,21 @@
         sender,
         sendResponse
     ) {
-        if (request.action === 'refresh') {
-            // Re-run environment detection
-            injectBadge()
-            sendResponse({ success: true })
-        } else if (request.action === 'getWordPressInfo') {
-            // Get WordPress version, language and theme
-            const wpInfo = getWordPressInfo()
-            sendResponse(wpInfo)
-        }
+        // Detection needs the user settings, not loaded yet on other pages
+        loadPageData().then(function () {
+            if (request.action === 'refresh') {
+                // Re-run environment detection
+                injectBadge()
+                sendResponse({ success: true })
+            } else if (request.action === 'getWordPressInfo') {
+                // Get WordPress version, language and theme
+                const wpInfo = getWordPressInfo()
+                sendResponse(wpInfo)
+            } else if (request.action === 'scanEnvironmentUrls') {
+                // Find the URLs pointing to other environments
+                sendResponse(scanEnvironmentUrls())
+            }
+        })
         return true
     })
 
@@ -627,17 +1169,132 @@
     }
 
     /**
-     * Gets WordPress information (version, language, theme)
+     * Gets the REST API index URL advertised by the page
+     *
+     * @returns {string|null} The REST API URL or null
+     */
+    function getRestApiUrl() {
+        const link = document.querySelector(
+            CONFIG.wordpress.info.selectors.restApi
+        )
+        return link ? link.href : null
+    }
+
+    /**
+     * Checks if the page belongs to the Network Admin of a multisite
+     *
+     * @returns {boolean} True in the Network Admin
+     */
+    function isNetworkAdmin() {
+        const multisite = CONFIG.wordpress.multisite
+        return (
+            window.location.pathname.includes(multisite.networkAdminPath) ||
+            document.body.classList.contains(multisite.bodyClasses.networkAdmin)
+        )
+    }
+
+    /**
+     * Checks if the site is part of a multisite network
+     *
+     * @returns {boolean} True on a multisite network
+     */
+    function isMultisite() {
+        const multisite = CONFIG.wordpress.multisite
+        return (
+            isNetworkAdmin() ||
+            document.body.classList.contains(multisite.bodyClasses.multisite) ||
+            document.querySelector(multisite.selectors.mySites) !== null
+        )
+    }
+
+    /**
+     * Returns the base URL of a site from one of its front or admin URLs
+     *
+     * @param {string} url The site URL
+     * @returns {string} The URL without the admin path and trailing slash
+     */
+    function getSiteBaseUrl(url) {
+        try {
+            const parsed = new URL(url, window.location.href)
+            const path = parsed.pathname
+                .replace(CONFIG.wordpress.multisite.patterns.adminPath, '')
+                .replace(/\/+$/, '')
+            return parsed.origin + path
+        } catch (error) {
+            return ''
+        }
+    }
+
+    /**
+     * Finds the blog ID of the current site in the "My Sites" menu
+     *
+     * @returns {number|null} The blog ID or null if unknown
+     */
+    function getBlogId() {
+        const multisite = CONFIG.wordpress.multisite
+        const siteLink = document.querySelector(multisite.selectors.siteName)
+        if (!siteLink) {
+            return null
+        }
+
+        const siteUrl = getSiteBaseUrl(siteLink.href)
+        for (const item of document.querySelectorAll(
+            multisite.selectors.sites
+        )) {
+            const link = item.querySelector('a')
+            const match = item.id.match(multisite.patterns.blogId)
+            if (match && link && getSiteBaseUrl(link.href) === siteUrl) {
+                return Number(match[1])
+            }
+        }
+        return null
+    }
+
+    /**
+     * Gets the multisite information of the page
+     *
+     * @returns {Object} Whether the site is a multisite, the Network Admin,
+     * the blog ID and the site name
+     */
+    function getMultisiteInfo() {
+        if (!isMultisite()) {
+            return { isMultisite: false }
+        }
+
+        const siteLink = document.querySelector(
+            CONFIG.wordpress.multisite.selectors.siteName
+        )
+        const networkAdmin = isNetworkAdmin()
+        return {
+            isMultisite: true,
+            isNetworkAdmin: networkAdmin,
+            blogId: networkAdmin ? null : getBlogId(),
+            siteName: siteLink ? siteLink.textContent.trim() : null,
+        }
+    }
+
+    /**
+     * Gets WordPress information (version, language, theme, multisite and
+     * the plugins and technologies read from the page assets), with the
+     * debug features and warnings of the page
      *
      * @returns {Object} WordPress information object
      * @since 0.1
      * @author Raphael Sanchez <hello@raphaelsanchez.design>
      */
     function getWordPressInfo() {
+        const environment = shouldInjectBadge() ? detectEnvironment() : null
         return {
             version: getWordPressVersion(),
             language: getWordPressLanguage(),
             theme: getWordPressTheme(),
+            multisite: getMultisiteInfo(),
+            restUrl: getRestApiUrl(),
+            robots: getRobotsInfo(),
+            detection: getDetectionTrace(),
+            stack: WPEnvStack.detect(),
+            debug: WPEnvDebug.detect(),
+            warnings: environment ? getPageWarnings(environment) : [],
         }
     }
 
@@ -0,0 +1,156 @@
+/**
+ * Debug detection for WordPress Environment Indicator
+ * Spots the debug features left enabled on a site: `SCRIPT_DEBUG` assets,
+ * debugging toolbars, visible PHP notices and timestamp cache busting
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Debug detection configuration
+     */
+    const CONFIG = {
+        selectors: {
+            coreAssets:
+                'script[src*="/wp-includes/"], script[src*="/wp-admin/"], link[rel="stylesheet"][href*="/wp-includes/"], link[rel="stylesheet"][href*="/wp-admin/"]',
+            versionedAssets: 'script[src*="ver="], link[href*="ver="]',
+            queryMonitor: '#wp-admin-bar-query-monitor, #query-monitor-main',
+            debugBar: '#wp-admin-bar-debug-bar, #debug-menu-links',
+        },
+        patterns: {
+            // Core assets always ship a minified copy, except the bundled libraries
+            unminifiedAsset: /\.(?:js|css)$/,
+            minifiedAsset: /[.-]min\.(?:js|css)$/,
+            bundledLibrary: /\/(?:tinymce|codemirror)\//,
+            phpNotice:
+                /\b(?:Notice|Warning|Deprecated|Fatal error|Parse error):\s+.+?\s+in\s+\S+\.php\s+on\s+line\s+\d+/g,
+            timestampVersion: /^\d{10}(?:\d{3})?$/,
+        },
+    }
+
+    /**
+     * Debug signals, in display order
+     */
+    const SIGNALS = [
+        {
+            id: 'script-debug',
+            label: 'Scripts WordPress non minifiés (SCRIPT_DEBUG)',
+            count: countUnminifiedAssets,
+        },
+        {
+            id: 'query-monitor',
+            label: 'Barre Query Monitor',
+            count: () => countElements(CONFIG.selectors.queryMonitor),
+        },
+        {
+            id: 'debug-bar',
+            label: 'Debug Bar',
+            count: () => countElements(CONFIG.selectors.debugBar),
+        },
+        {
+            id: 'php-notices',
+            label: 'Erreurs PHP affichées dans la page',
+            count: countPhpNotices,
+        },
+        {
+            id: 'timestamp-versions',
+            label: 'Assets versionnés par horodatage (?ver=)',
+            count: countTimestampVersions,
+        },
+    ]
+
+    /**
+     * Counts the elements matching a selector
+     *
+     * @param {string} selector The CSS selector
+     * @returns {number} The number of elements
+     */
+    function countElements(selector) {
+        return document.querySelectorAll(selector).length
+    }
+
+    /**
+     * Returns the pathname of an asset element
+     *
+     * @param {Element} element The script or link element
+     * @returns {string} The pathname, empty if invalid
+     */
+    function getAssetPath(element) {
+        try {
+            return new URL(element.src || element.href).pathname
+        } catch (error) {
+            return ''
+        }
+    }
+
+    /**
+     * Counts the core scripts and styles loaded without minification
+     *
+     * @returns {number} The number of unminified core assets
+     */
+    function countUnminifiedAssets() {
+        const patterns = CONFIG.patterns
+        return Array.from(
+            document.querySelectorAll(CONFIG.selectors.coreAssets)
+        ).filter((element) => {
+            const path = getAssetPath(element)
+            return (
+                patterns.unminifiedAsset.test(path) &&
+                !patterns.minifiedAsset.test(path) &&
+                !patterns.bundledLibrary.test(path)
+            )
+        }).length
+    }
+
+    /**
+     * Counts the PHP notices, warnings and errors printed in the page
+     *
+     * @returns {number} The number of PHP messages
+     */
+    function countPhpNotices() {
+        const text = document.body ? document.body.textContent : ''
+        return (text.match(CONFIG.patterns.phpNotice) || []).length
+    }
+
+    /**
+     * Counts the assets whose `ver` parameter is a timestamp, which busts
+     * the browser cache on every deploy or every request
+     *
+     * @returns {number} The number of timestamped assets
+     */
+    function countTimestampVersions() {
+        return Array.from(
+            document.querySelectorAll(CONFIG.selectors.versionedAssets)
+        ).filter((element) => {
+            try {
+                const version = new URL(
+                    element.src || element.href
+                ).searchParams.get('ver')
+                return CONFIG.patterns.timestampVersion.test(version || '')
+            } catch (error) {
+                return false
+            }
+        }).length
+    }
+
+    /**
+     * Detects the debug features visible on the page
+     *
+     * @returns {Array} The detected signals with their `id`, `label` and
+     * `count`
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function detect() {
+        return SIGNALS.map(({ id, label, count }) => ({
+            id,
+            label,
+            count: count(),
+        })).filter((signal) => signal.count > 0)
+    }
+
+    root.WPEnvDebug = Object.freeze({
+        detect,
+    })
+})(globalThis)
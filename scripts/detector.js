@@ -0,0 +1,617 @@
+/**
+ * Environment detector for WordPress Environment Indicator
+ * Shared by the content script, the service worker and the popup so that
+ * every context resolves a hostname to the same environment object
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Detection configuration
+     * Contains the built-in environment types and hostname patterns
+     */
+    const CONFIG = {
+        types: {
+            development: {
+                type: 'development',
+                name: 'Development',
+                color: '#4f39f6', // Blue for TLDs
+                localColor: '#28a745', // Green for localhost
+                icon: 'wrench',
+                badgeText: 'dev',
+            },
+            staging: {
+                type: 'staging',
+                name: 'Staging',
+                color: '#e60076',
+                icon: 'warning',
+                badgeText: 'stg',
+            },
+            production: {
+                type: 'production',
+                name: 'Production',
+                color: '#d63638',
+                icon: 'shield',
+                badgeText: 'prod',
+            },
+        },
+        developmentTlds: ['.dev', '.test', '.local'],
+        // Matched on whole subdomain labels, or as a label prefix (`staging-`)
+        // or suffix (`-stg`), so `contest.com`, `backstage.io` or `demo.com`
+        // are ignored
+        stagingKeywords: ['staging', 'stage', 'stg', 'preview', 'demo', 'test'],
+        // Second-level labels of country code suffixes such as `co.uk`
+        secondLevelDomains: ['ac', 'co', 'com', 'edu', 'gov', 'net', 'org'],
+        // Environment declared by the site from wp_get_environment_type()
+        declared: {
+            metaName: 'wp-environment-type',
+            headerName: 'x-wp-environment',
+            aliases: { local: 'development' },
+        },
+        // How a user rule pattern is compared to the hostname
+        ruleMatchTypes: ['exact', 'wildcard', 'regex'],
+        // Constraints on user-defined environment types
+        customTypes: {
+            typePattern: /^[a-z0-9][a-z0-9-]*$/,
+            colorPattern: /^#[0-9a-f]{6}$/i,
+            badgeTextMaxLength: 4,
+        },
+        defaultIcon: 'dot',
+        textColors: {
+            light: '#ffffff',
+            dark: '#1d2327',
+        },
+        minContrastRatio: 3,
+        // Page overlays available on pages without the admin bar
+        overlayStyles: ['frame', 'ribbon', 'watermark'],
+        // Admin bar styles replacing the default dark bar
+        adminBarStyles: ['background', 'stripes', 'border'],
+    }
+
+    /**
+     * Returns an array of SVG icons for the environment types
+     *
+     * @returns {Array} Array of SVG icons
+     */
+    function svgIconsArray() {
+        return [
+            {
+                name: 'wrench',
+                label: 'Clé',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M22.7 19l-9.1-9.1c.9-2.3.4-5-1.5-6.9-2-2-5-2.4-7.4-1.3L9 6 6 9 1.6 4.7C.4 7.1.9 10.1 2.9 12.1c1.9 1.9 4.6 2.4 6.9 1.5l9.1 9.1c.4.4 1 .4 1.4 0l2.3-2.3c.5-.4.5-1.1.1-1.4z"/></svg>',
+            },
+            {
+                name: 'warning',
+                label: 'Attention',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>',
+            },
+            {
+                name: 'shield',
+                label: 'Bouclier',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm1 16h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>',
+            },
+            {
+                name: 'flask',
+                label: 'Fiole',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M9 2v2h1v5.2L4.3 19.1C3.6 20.4 4.5 22 6 22h12c1.5 0 2.4-1.6 1.7-2.9L14 9.2V4h1V2H9zm3 9.3l1.8 3.2h-3.6l1.8-3.2z"/></svg>',
+            },
+            {
+                name: 'check',
+                label: 'Validation',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2a10 10 0 100 20 10 10 0 000-20zm-2 15l-5-5 1.4-1.4 3.6 3.6 7.6-7.6L19 8l-9 9z"/></svg>',
+            },
+            {
+                name: 'eye',
+                label: 'Aperçu',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 4.5C7 4.5 2.7 7.6 1 12c1.7 4.4 6 7.5 11 7.5s9.3-3.1 11-7.5c-1.7-4.4-6-7.5-11-7.5zM12 17a5 5 0 110-10 5 5 0 010 10zm0-8a3 3 0 100 6 3 3 0 000-6z"/></svg>',
+            },
+            {
+                name: 'rocket',
+                label: 'Fusée',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2s-5 3.5-5 11l-3 3v4l4-2h8l4 2v-4l-3-3c0-7.5-5-11-5-11zm0 11a2 2 0 110-4 2 2 0 010 4z"/></svg>',
+            },
+            {
+                name: 'dot',
+                label: 'Point',
+                icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="6"/></svg>',
+            },
+        ]
+    }
+
+    /**
+     * Checks if hostname is a local development environment
+     *
+     * @param {string} hostname The hostname to check
+     * @returns {string|null} The matched host or null
+     */
+    function isLocalDevelopment(hostname) {
+        return hostname === 'localhost' || hostname.startsWith('127.')
+            ? hostname
+            : null
+    }
+
+    /**
+     * Checks if hostname uses development TLD
+     *
+     * @param {string} hostname The hostname to check
+     * @returns {string|null} The matched TLD or null
+     */
+    function isDevelopmentTLD(hostname) {
+        return (
+            CONFIG.developmentTlds.find((tld) => hostname.endsWith(tld)) || null
+        )
+    }
+
+    /**
+     * Builds the expression matching a hostname label holding a staging
+     * keyword: the whole label, optionally numbered (`staging2`), or a
+     * prefix (`staging-client`) or suffix (`client-stg`)
+     *
+     * @returns {RegExp} The label regular expression
+     */
+    function createStagingLabelRegExp() {
+        const keywords = CONFIG.stagingKeywords.join('|')
+        return new RegExp(
+            `^(?:${keywords})\\d*(?:-|$)|-(?:${keywords})\\d*$`,
+            'i'
+        )
+    }
+
+    /**
+     * Returns the subdomain labels of a hostname, without the public suffix
+     * (`com`, `co.uk`) and the registered name before it
+     *
+     * @param {string} hostname The hostname
+     * @returns {Array<string>} The subdomain labels
+     */
+    function getSubdomainLabels(hostname) {
+        const labels = hostname.split('.')
+        const suffixLength =
+            labels.length > 2 &&
+            labels[labels.length - 1].length === 2 &&
+            CONFIG.secondLevelDomains.includes(labels[labels.length - 2])
+                ? 2
+                : 1
+        return labels.slice(0, -(suffixLength + 1))
+    }
+
+    /**
+     * Checks if hostname matches staging patterns
+     *
+     * @param {string} hostname The hostname to check
+     * @returns {string|null} The matched part of the label or null
+     */
+    function isStagingEnvironment(hostname) {
+        const pattern = createStagingLabelRegExp()
+        for (const label of getSubdomainLabels(hostname)) {
+            const match = pattern.exec(label)
+            if (match) {
+                return match[0]
+            }
+        }
+        return null
+    }
+
+    /**
+     * Checks if hostname is excluded from the staging patterns
+     *
+     * @param {string} hostname The hostname to check
+     * @param {Array} stagingExclusions Host names, wildcards allowed
+     * @returns {string|null} The matched exclusion or null
+     */
+    function isStagingExcluded(hostname, stagingExclusions) {
+        return (
+            stagingExclusions.find((pattern) =>
+                wildcardToRegExp(String(pattern).trim()).test(hostname)
+            ) || null
+        )
+    }
+
+    /**
+     * Gets the SVG icon by name, falling back to the default icon
+     *
+     * @param {string} iconName The icon name
+     * @returns {string} The SVG icon
+     */
+    function getEnvironmentIcon(iconName) {
+        const icons = svgIconsArray()
+        const icon =
+            icons.find((item) => item.name === iconName) ||
+            icons.find((item) => item.name === CONFIG.defaultIcon)
+        return icon.icon
+    }
+
+    /**
+     * Picks the most readable text color on a background color
+     *
+     * @param {string} color The background color (#rrggbb)
+     * @returns {string} The light or dark text color
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function getContrastColor(color) {
+        const match = CONFIG.customTypes.colorPattern.test(color)
+            ? color.slice(1).match(/../g)
+            : null
+        if (!match) {
+            return CONFIG.textColors.light
+        }
+
+        // WCAG relative luminance
+        const [r, g, b] = match.map((hex) => {
+            const channel = parseInt(hex, 16) / 255
+            return channel <= 0.03928
+                ? channel / 12.92
+                : Math.pow((channel + 0.055) / 1.055, 2.4)
+        })
+        const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b
+
+        // Keep white text while it reaches the WCAG ratio for bold UI text
+        return 1.05 / (luminance + 0.05) >= CONFIG.minContrastRatio
+            ? CONFIG.textColors.light
+            : CONFIG.textColors.dark
+    }
+
+    /**
+     * Checks if a user-defined environment type is valid
+     * Custom types cannot replace the built-in ones
+     *
+     * @param {Object} config The environment type configuration
+     * @returns {boolean} True if the type is valid
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function isValidCustomType(config) {
+        const constraints = CONFIG.customTypes
+        return (
+            config !== null &&
+            typeof config === 'object' &&
+            constraints.typePattern.test(config.type) &&
+            !Object.hasOwn(CONFIG.types, config.type) &&
+            typeof config.name === 'string' &&
+            config.name.trim() !== '' &&
+            constraints.colorPattern.test(config.color) &&
+            String(config.badgeText || '').length <=
+                constraints.badgeTextMaxLength
+        )
+    }
+
+    /**
+     * Returns the built-in and user-defined environment types
+     *
+     * @param {Object} [options] Detection options, usually the user settings
+     * @param {Array} [options.environmentTypes] User-defined environment types
+     * @returns {Object} Environment type configurations keyed by type
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function getEnvironmentTypes(options = {}) {
+        const types = { ...CONFIG.types }
+        for (const config of options.environmentTypes || []) {
+            if (isValidCustomType(config)) {
+                types[config.type] = config
+            }
+        }
+        return types
+    }
+
+    /**
+     * Creates an environment object from its type
+     *
+     * @param {string} environmentType The environment type
+     * @param {Object} [options] Detection options, usually the user settings
+     * @param {string} [color] Color replacing the configured one
+     * @returns {Object|null} Environment object or null if unknown
+     */
+    function createEnvironment(environmentType, options = {}, color = null) {
+        const config = getEnvironmentTypes(options)[environmentType]
+        if (!config) {
+            return null
+        }
+
+        const environmentColor = color || config.color
+        return {
+            type: config.type,
+            name: config.name,
+            color: environmentColor,
+            textColor: getContrastColor(environmentColor),
+            icon: getEnvironmentIcon(config.icon),
+            badgeText:
+                config.badgeText ||
+                config.name.slice(0, CONFIG.customTypes.badgeTextMaxLength),
+        }
+    }
+
+    /**
+     * Escapes the regular expression special characters of a string
+     *
+     * @param {string} value The string to escape
+     * @returns {string} The escaped string
+     */
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+
+    /**
+     * Converts a wildcard pattern such as `*.example.com` to a regular expression
+     *
+     * @param {string} pattern The wildcard pattern
+     * @returns {RegExp} The anchored, case-insensitive regular expression
+     */
+    function wildcardToRegExp(pattern) {
+        const source = pattern.split('*').map(escapeRegExp).join('.*')
+        return new RegExp(`^${source}$`, 'i')
+    }
+
+    /**
+     * Builds the regular expression used to match a user rule
+     *
+     * @param {Object} rule The user rule
+     * @returns {RegExp|null} The regular expression or null if invalid
+     */
+    function createRuleRegExp(rule) {
+        const pattern = String(rule.pattern || '').trim()
+        if (!pattern) {
+            return null
+        }
+
+        try {
+            switch (rule.match) {
+                case 'exact':
+                    return new RegExp(`^${escapeRegExp(pattern)}$`, 'i')
+                case 'wildcard':
+                    return wildcardToRegExp(pattern)
+                case 'regex':
+                    return new RegExp(pattern, 'i')
+                default:
+                    return null
+            }
+        } catch (error) {
+            return null // Invalid regular expression
+        }
+    }
+
+    /**
+     * Checks if a user rule can be used for detection
+     *
+     * @param {Object} rule The user rule
+     * @param {Object} [options] Detection options, usually the user settings
+     * @returns {boolean} True if the rule is valid
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function isValidRule(rule, options = {}) {
+        return (
+            rule !== null &&
+            typeof rule === 'object' &&
+            createRuleRegExp(rule) !== null &&
+            Object.hasOwn(getEnvironmentTypes(options), rule.environment)
+        )
+    }
+
+    /**
+     * Finds the first user rule matching the hostname
+     *
+     * @param {string} hostname The hostname to check
+     * @param {Object} options Detection options, usually the user settings
+     * @returns {Object|null} The matching rule or null
+     */
+    function findMatchingRule(hostname, options) {
+        return (
+            (options.rules || []).find(
+                (rule) =>
+                    isValidRule(rule, options) &&
+                    createRuleRegExp(rule).test(hostname)
+            ) || null
+        )
+    }
+
+    /**
+     * Checks if hostname is one of the declared production hosts
+     *
+     * @param {string} hostname The hostname to check
+     * @param {Array} productionHosts Host names, wildcards allowed
+     * @returns {string|null} The matched production host or null
+     */
+    function isDeclaredProduction(hostname, productionHosts) {
+        return (
+            productionHosts.find((pattern) =>
+                wildcardToRegExp(String(pattern).trim()).test(hostname)
+            ) || null
+        )
+    }
+
+    /**
+     * Creates the environment declared by the site, if it is a known type
+     *
+     * @param {string|null} declaredType The WP_ENVIRONMENT_TYPE value
+     * @param {Object} options Detection options, usually the user settings
+     * @returns {Object|null} Environment object or null if unknown
+     */
+    function createDeclaredEnvironment(declaredType, options) {
+        const value = String(declaredType || '')
+            .trim()
+            .toLowerCase()
+        const type = Object.hasOwn(CONFIG.declared.aliases, value)
+            ? CONFIG.declared.aliases[value]
+            : value
+        if (!Object.hasOwn(getEnvironmentTypes(options), type)) {
+            return null
+        }
+
+        // `local` is the WordPress name of a local development environment
+        const color =
+            value === 'local' ? CONFIG.types.development.localColor : null
+        return createEnvironment(type, options, color)
+    }
+
+    /**
+     * Detects the environment of a hostname and explains how
+     * The environment declared by the site wins, then user rules are checked
+     * in priority order, then the declared production hosts, then the
+     * built-in patterns
+     *
+     * Each check considered is listed in `steps` with its `check` name
+     * (`declared`, `rule`, `production`, `local`, `tld` or `staging`),
+     * whether it `matched` and the `value` it matched; the last step is the
+     * one that decided
+     *
+     * @param {string} hostname The hostname to analyze
+     * @param {Object} [options] Detection options, see detectEnvironmentType
+     * @param {Object} [signals] Page signals, see detectEnvironmentType
+     * @returns {Object} The `environment` (or null), the deciding `check`,
+     * the matched `rule` and `value`, and the `steps`
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function explainEnvironmentType(hostname, options = {}, signals = {}) {
+        const host = String(hostname || '').toLowerCase()
+        const steps = []
+        const decide = (check, environment, value, details = {}) => {
+            steps.push({ check, matched: true, value, ...details })
+            return { environment, check, value, rule: null, ...details, steps }
+        }
+
+        const declared = createDeclaredEnvironment(
+            signals.declaredType,
+            options
+        )
+        if (declared) {
+            return decide('declared', declared, signals.declaredType)
+        }
+        steps.push({
+            check: 'declared',
+            matched: false,
+            value: signals.declaredType || null,
+        })
+
+        const rule = findMatchingRule(host, options)
+        if (rule) {
+            return decide(
+                'rule',
+                createEnvironment(rule.environment, options),
+                createRuleRegExp(rule).exec(host)[0],
+                { rule }
+            )
+        }
+        steps.push({ check: 'rule', matched: false, value: null })
+
+        const productionHost = isDeclaredProduction(
+            host,
+            options.productionHosts || []
+        )
+        if (productionHost) {
+            return decide(
+                'production',
+                createEnvironment('production', options),
+                productionHost
+            )
+        }
+        steps.push({ check: 'production', matched: false, value: null })
+
+        const localHost = isLocalDevelopment(host)
+        if (localHost) {
+            return decide(
+                'local',
+                createEnvironment(
+                    'development',
+                    options,
+                    CONFIG.types.development.localColor
+                ),
+                localHost
+            )
+        }
+        steps.push({ check: 'local', matched: false, value: null })
+
+        const tld = isDevelopmentTLD(host)
+        if (tld) {
+            return decide('tld', createEnvironment('development', options), tld)
+        }
+        steps.push({ check: 'tld', matched: false, value: null })
+
+        const stagingMatch = isStagingEnvironment(host)
+        const exclusion = stagingMatch
+            ? isStagingExcluded(host, options.stagingExclusions || [])
+            : null
+        if (stagingMatch && !exclusion) {
+            return decide(
+                'staging',
+                createEnvironment('staging', options),
+                stagingMatch
+            )
+        }
+        steps.push({
+            check: 'staging',
+            matched: false,
+            value: stagingMatch,
+            excludedBy: exclusion,
+        })
+
+        return {
+            environment: null,
+            check: null,
+            value: null,
+            rule: null,
+            steps,
+        }
+    }
+
+    /**
+     * Detects environment type based on hostname
+     * The environment declared by the site wins, then user rules are checked
+     * in priority order, then the declared production hosts, then the
+     * built-in patterns
+     *
+     * @param {string} hostname The hostname to analyze
+     * @param {Object} [options] Detection options, usually the user settings
+     * @param {Array} [options.rules] User rules in priority order
+     * @param {Array} [options.productionHosts] Declared production hosts
+     * @param {Array} [options.environmentTypes] User-defined environment types
+     * @param {Array} [options.stagingExclusions] Hosts never detected as
+     * staging by the built-in patterns
+     * @param {Object} [signals] What the page tells about itself
+     * @param {string} [signals.declaredType] Meta tag or header value
+     * @returns {Object|null} Environment object or null if not detected
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function detectEnvironmentType(hostname, options = {}, signals = {}) {
+        return explainEnvironmentType(hostname, options, signals).environment
+    }
+
+    /**
+     * Detects environment from URL
+     *
+     * @param {string} url The URL to analyze
+     * @param {Object} [options] Detection options, see detectEnvironmentType
+     * @param {Object} [signals] Page signals, see detectEnvironmentType
+     * @returns {Object|null} Environment object or null
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function detectEnvironmentFromUrl(url, options = {}, signals = {}) {
+        try {
+            return detectEnvironmentType(
+                new URL(url).hostname,
+                options,
+                signals
+            )
+        } catch (error) {
+            return null // Invalid URL
+        }
+    }
+
+    root.WPEnvDetector = Object.freeze({
+        CONFIG,
+        getIcons: svgIconsArray,
+        getEnvironmentIcon,
+        getContrastColor,
+        getEnvironmentTypes,
+        isValidCustomType,
+        isValidRule,
+        explainEnvironmentType,
+        detectEnvironmentType,
+        detectEnvironmentFromUrl,
+    })
+})(globalThis)
@@ -0,0 +1,144 @@
+/**
+ * Page overlay for WordPress Environment Indicator
+ * Shows the environment on pages without the admin bar as a viewport frame,
+ * a corner ribbon or a diagonal watermark, isolated in a shadow root
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Overlay configuration
+     */
+    const CONFIG = {
+        tagName: 'wp-env-overlay',
+        frameWidth: '4px',
+    }
+
+    /**
+     * Styles of the shadow root
+     * The host ignores the page styles and never receives clicks
+     */
+    const STYLES = `
+        :host {
+            all: initial !important;
+            position: fixed !important;
+            inset: 0 !important;
+            z-index: 2147483647 !important;
+            pointer-events: none !important;
+        }
+
+        .overlay {
+            position: fixed;
+            inset: 0;
+            overflow: hidden;
+            pointer-events: none;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto,
+                sans-serif;
+        }
+
+        .overlay--frame {
+            border: ${CONFIG.frameWidth} solid var(--wp-env-bg);
+        }
+
+        .ribbon {
+            position: absolute;
+            top: 28px;
+            right: -48px;
+            width: 180px;
+            transform: rotate(45deg);
+            background: var(--wp-env-bg);
+            box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+            color: var(--wp-env-fg);
+            font-size: 12px;
+            font-weight: 600;
+            line-height: 26px;
+            letter-spacing: 0.05em;
+            text-align: center;
+            text-transform: uppercase;
+        }
+
+        .watermark {
+            position: absolute;
+            inset: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transform: rotate(-30deg);
+            color: var(--wp-env-bg);
+            font-size: 14vw;
+            font-weight: 800;
+            opacity: 0.08;
+            text-transform: uppercase;
+            white-space: nowrap;
+        }
+    `
+
+    /**
+     * Creates the content of an overlay style
+     *
+     * @param {Object} environment The environment object
+     * @param {string} style The overlay style (frame, ribbon, watermark)
+     * @returns {HTMLElement} The overlay element
+     */
+    function createOverlay(environment, style) {
+        const overlay = document.createElement('div')
+        overlay.className = `overlay overlay--${style}`
+
+        if (style === 'ribbon' || style === 'watermark') {
+            const label = document.createElement('div')
+            label.className = style
+            label.textContent = environment.name
+            overlay.appendChild(label)
+        }
+        return overlay
+    }
+
+    /**
+     * Shows the overlay of an environment, replacing the current one
+     *
+     * @param {Object} environment The environment object
+     * @param {string} style The overlay style (frame, ribbon, watermark)
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function show(environment, style) {
+        remove()
+
+        if (!WPEnvDetector.CONFIG.overlayStyles.includes(style)) {
+            return
+        }
+
+        const host = document.createElement(CONFIG.tagName)
+        host.setAttribute('aria-hidden', 'true')
+        host.style.setProperty('--wp-env-bg', environment.color)
+        host.style.setProperty('--wp-env-fg', environment.textColor)
+
+        const shadow = host.attachShadow({ mode: 'closed' })
+        const styles = document.createElement('style')
+        styles.textContent = STYLES
+        shadow.append(styles, createOverlay(environment, style))
+
+        // Outside of the body so its transforms cannot move the overlay
+        document.documentElement.appendChild(host)
+    }
+
+    /**
+     * Removes the overlay if present
+     *
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function remove() {
+        for (const host of document.querySelectorAll(CONFIG.tagName)) {
+            host.remove()
+        }
+    }
+
+    root.WPEnvOverlay = Object.freeze({
+        show,
+        remove,
+    })
+})(globalThis)
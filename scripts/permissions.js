@@ -0,0 +1,140 @@
+/**
+ * Site access for WordPress Environment Indicator
+ * The extension only runs on the sites the user granted, so this module
+ * turns URLs and settings into host permission match patterns
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Match pattern granting every site
+     */
+    const ALL_SITES = '*://*/*'
+
+    /**
+     * Builds the match pattern of a host name
+     * Match patterns only accept a wildcard as the first label, so other
+     * wildcards and regular expressions cannot be granted
+     *
+     * @param {string} host The host name, optionally starting with `*.`
+     * @returns {string|null} The match pattern or null
+     */
+    function getHostPattern(host) {
+        const value = String(host || '')
+            .trim()
+            .toLowerCase()
+        const name = value.startsWith('*.') ? value.slice(2) : value
+        if (!name || !/^[a-z0-9.-]+$/.test(name)) {
+            return null
+        }
+        return `*://${value}/*`
+    }
+
+    /**
+     * Returns the match pattern granting the site of a URL
+     *
+     * @param {string} url The URL of the site
+     * @returns {string|null} The match pattern or null if not a web page
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function getOriginPattern(url) {
+        try {
+            const { protocol, hostname } = new URL(url)
+            if (protocol !== 'http:' && protocol !== 'https:') {
+                return null
+            }
+            return getHostPattern(hostname)
+        } catch (error) {
+            return null // Invalid URL
+        }
+    }
+
+    /**
+     * Returns the match patterns of the sites named in the settings: exact
+     * and wildcard rules, production hosts and project base URLs
+     *
+     * @param {Object} settings The user settings
+     * @returns {Array<string>} The unique match patterns
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function getSettingsPatterns(settings) {
+        const patterns = [
+            ...(settings.rules || [])
+                .filter((rule) => rule.match !== 'regex')
+                .map((rule) => getHostPattern(rule.pattern)),
+            ...(settings.productionHosts || []).map(getHostPattern),
+            ...(settings.projects || []).flatMap((project) =>
+                (project.environments || []).map((environment) =>
+                    getOriginPattern(environment.baseUrl)
+                )
+            ),
+        ]
+        return Array.from(new Set(patterns.filter(Boolean))).sort()
+    }
+
+    /**
+     * Returns the match patterns granted by the user
+     *
+     * @returns {Promise<Array<string>>} The granted match patterns
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function getGranted() {
+        const { origins = [] } = await chrome.permissions.getAll()
+        return origins
+    }
+
+    /**
+     * Checks if the extension may run on the site of a URL
+     *
+     * @param {string} url The URL of the site
+     * @returns {Promise<boolean>} True if the site is granted
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function isGranted(url) {
+        const pattern = getOriginPattern(url)
+        return (
+            pattern !== null &&
+            chrome.permissions.contains({ origins: [pattern] })
+        )
+    }
+
+    /**
+     * Asks the user to grant sites
+     * Must be called from a click handler, before any other await
+     *
+     * @param {Array<string>} patterns The match patterns to grant
+     * @returns {Promise<boolean>} True if the user accepted
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function request(patterns) {
+        return chrome.permissions.request({ origins: patterns })
+    }
+
+    /**
+     * Revokes sites granted by the user
+     *
+     * @param {Array<string>} patterns The match patterns to revoke
+     * @returns {Promise<boolean>} True if the sites were revoked
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function revoke(patterns) {
+        return chrome.permissions.remove({ origins: patterns })
+    }
+
+    root.WPEnvPermissions = Object.freeze({
+        ALL_SITES,
+        getOriginPattern,
+        getSettingsPatterns,
+        getGranted,
+        isGranted,
+        request,
+        revoke,
+    })
+})(globalThis)
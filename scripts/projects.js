@@ -0,0 +1,128 @@
+/**
+ * Projects for WordPress Environment Indicator
+ * A project links the base URLs of the same site on each environment, so a
+ * page can be opened on its sibling environments
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Parses a base URL, dropping the trailing slash of its path
+     *
+     * @param {string} baseUrl The base URL of a project environment
+     * @returns {Object|null} The origin and path, or null if invalid
+     */
+    function parseBaseUrl(baseUrl) {
+        try {
+            const url = new URL(String(baseUrl).trim())
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return null
+            }
+            return {
+                origin: url.origin,
+                path: url.pathname.replace(/\/+$/, ''),
+            }
+        } catch (error) {
+            return null // Invalid URL
+        }
+    }
+
+    /**
+     * Checks if a project can be used to link environments
+     *
+     * @param {Object} project The project
+     * @param {Object} [options] Detection options, usually the user settings
+     * @returns {boolean} True if the project is valid
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function isValidProject(project, options = {}) {
+        const types = WPEnvDetector.getEnvironmentTypes(options)
+        return (
+            project !== null &&
+            typeof project === 'object' &&
+            typeof project.name === 'string' &&
+            project.name.trim() !== '' &&
+            Array.isArray(project.environments) &&
+            project.environments.every(
+                (environment) =>
+                    environment !== null &&
+                    typeof environment === 'object' &&
+                    Object.hasOwn(types, environment.type) &&
+                    parseBaseUrl(environment.baseUrl) !== null
+            )
+        )
+    }
+
+    /**
+     * Finds the project environment whose base URL contains the URL
+     * The longest base URL wins when several match
+     *
+     * @param {string} url The URL to look up
+     * @param {Array} projects The user projects
+     * @returns {Object|null} The `project` and its `environment`, or null
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function findProjectEnvironment(url, projects) {
+        let target
+        try {
+            target = new URL(url)
+        } catch (error) {
+            return null // Invalid URL
+        }
+
+        let best = null
+        for (const project of projects) {
+            for (const environment of project.environments || []) {
+                const base = parseBaseUrl(environment.baseUrl)
+                const isInside =
+                    base !== null &&
+                    base.origin === target.origin &&
+                    (target.pathname === base.path ||
+                        target.pathname.startsWith(`${base.path}/`))
+
+                if (isInside && (!best || base.path.length > best.length)) {
+                    best = { project, environment, length: base.path.length }
+                }
+            }
+        }
+        return best
+            ? { project: best.project, environment: best.environment }
+            : null
+    }
+
+    /**
+     * Builds the URL of the same page on another environment
+     * Keeps the path below the base URL, the query string and the hash
+     *
+     * @param {string} url The current URL
+     * @param {Object} from The project environment of the current URL
+     * @param {Object} to The project environment to open
+     * @returns {string|null} The sibling URL or null if invalid
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function buildSiblingUrl(url, from, to) {
+        const fromBase = parseBaseUrl(from.baseUrl)
+        const toBase = parseBaseUrl(to.baseUrl)
+        if (!fromBase || !toBase) {
+            return null
+        }
+
+        try {
+            const current = new URL(url)
+            const path = current.pathname.slice(fromBase.path.length) || '/'
+            return `${toBase.origin}${toBase.path}${path}${current.search}${current.hash}`
+        } catch (error) {
+            return null // Invalid URL
+        }
+    }
+
+    root.WPEnvProjects = Object.freeze({
+        isValidProject,
+        findProjectEnvironment,
+        buildSiblingUrl,
+    })
+})(globalThis)
@@ -0,0 +1,367 @@
+/**
+ * Production safeguard for WordPress Environment Indicator
+ * Asks for a typed confirmation before high-risk wp-admin actions on
+ * production sites
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Guarded actions, with the admin pages they appear on, the links or
+     * buttons triggering them and the bulk action values of their forms
+     */
+    const ACTIONS = [
+        {
+            id: 'plugin-delete',
+            label: 'Supprimer une extension',
+            pages: ['plugins.php'],
+            selectors: ['.row-actions .delete a'],
+            bulkActions: ['delete-selected'],
+        },
+        {
+            id: 'plugin-deactivate',
+            label: 'Désactiver une extension',
+            pages: ['plugins.php'],
+            selectors: ['.row-actions .deactivate a'],
+            bulkActions: ['deactivate-selected'],
+        },
+        {
+            id: 'delete-permanently',
+            label: 'Supprimer définitivement',
+            pages: ['edit.php', 'upload.php', 'edit-comments.php', 'post.php'],
+            selectors: [
+                '.row-actions .delete a',
+                'a.submitdelete[href*="action=delete"]',
+            ],
+            bulkActions: ['delete'],
+        },
+        {
+            id: 'empty-trash',
+            label: 'Vider la corbeille',
+            pages: ['edit.php', 'upload.php', 'edit-comments.php'],
+            selectors: ['#delete_all', '#delete_all2'],
+            bulkActions: [],
+        },
+        {
+            id: 'theme-switch',
+            label: 'Changer de thème',
+            pages: ['themes.php'],
+            selectors: ['.theme-actions .activate'],
+            bulkActions: [],
+        },
+        {
+            id: 'updates',
+            label: 'Mettre à jour WordPress, les extensions ou les thèmes',
+            pages: ['update-core.php', 'plugins.php', 'themes.php'],
+            selectors: [
+                '#upgrade',
+                '#upgrade-plugins',
+                '#upgrade-plugins-2',
+                '#upgrade-themes',
+                '#upgrade-themes-2',
+                '.update-message .update-link',
+            ],
+            bulkActions: ['update-selected'],
+        },
+    ]
+
+    /**
+     * Safeguard configuration
+     */
+    const CONFIG = {
+        tagName: 'wp-env-safeguard',
+        bulkActionFields: { doaction: 'action', doaction2: 'action2' },
+    }
+
+    /**
+     * Styles of the confirmation dialog shadow root
+     */
+    const STYLES = `
+        :host {
+            all: initial !important;
+        }
+
+        dialog {
+            box-sizing: border-box;
+            width: min(440px, calc(100vw - 32px));
+            padding: 24px;
+            border: 0;
+            border-top: 6px solid var(--wp-env-bg);
+            border-radius: 8px;
+            box-shadow: 0 12px 40px rgba(0, 0, 0, 0.35);
+            color: #1d2327;
+            font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI",
+                Roboto, sans-serif;
+        }
+
+        dialog::backdrop {
+            background: rgba(0, 0, 0, 0.6);
+        }
+
+        h2 {
+            margin: 0 0 8px;
+            color: var(--wp-env-bg);
+            font-size: 18px;
+        }
+
+        p {
+            margin: 0 0 12px;
+        }
+
+        code {
+            padding: 1px 4px;
+            border-radius: 3px;
+            background: #f0f0f1;
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+        }
+
+        input {
+            box-sizing: border-box;
+            width: 100%;
+            margin-bottom: 16px;
+            padding: 8px;
+            border: 1px solid #8c8f94;
+            border-radius: 4px;
+            font: inherit;
+        }
+
+        .actions {
+            display: flex;
+            flex-direction: row-reverse;
+            gap: 8px;
+        }
+
+        button {
+            padding: 8px 14px;
+            border: 1px solid #8c8f94;
+            border-radius: 4px;
+            background: #f6f7f7;
+            color: #1d2327;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        button[value="confirm"] {
+            border-color: var(--wp-env-bg);
+            background: var(--wp-env-bg);
+            color: var(--wp-env-fg);
+        }
+
+        button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+        }
+    `
+
+    // Environment whose actions are guarded, null when disabled
+    let environment = null
+
+    // Identifiers of the guarded actions
+    let guardedIds = []
+
+    // Set while a confirmed action is replayed
+    let isConfirmed = false
+
+    // Whether the event listeners are registered
+    let isListening = false
+
+    /**
+     * Returns the guarded actions available on the current admin page
+     *
+     * @returns {Array} The guarded actions
+     */
+    function getPageActions() {
+        const page = window.location.pathname.split('/').pop()
+        return ACTIONS.filter(
+            (action) =>
+                guardedIds.includes(action.id) && action.pages.includes(page)
+        )
+    }
+
+    /**
+     * Shows the typed confirmation dialog
+     *
+     * @param {Object} action The guarded action
+     * @returns {Promise<boolean>} True if the user confirmed
+     */
+    function confirmAction(action) {
+        const expected = window.location.hostname
+
+        const host = document.createElement(CONFIG.tagName)
+        host.style.setProperty('--wp-env-bg', environment.color)
+        host.style.setProperty('--wp-env-fg', environment.textColor)
+        const shadow = host.attachShadow({ mode: 'closed' })
+
+        const styles = document.createElement('style')
+        styles.textContent = STYLES
+
+        const dialog = document.createElement('dialog')
+        const form = document.createElement('form')
+        form.method = 'dialog'
+
+        const title = document.createElement('h2')
+        title.textContent = `${environment.name} : ${action.label}`
+
+        const message = document.createElement('p')
+        message.textContent =
+            'Cette action touche le site de production. Pour confirmer, tapez le nom du site '
+        const code = document.createElement('code')
+        code.textContent = expected
+        message.append(code, '.')
+
+        const input = document.createElement('input')
+        input.type = 'text'
+        input.autocomplete = 'off'
+        input.spellcheck = false
+        input.setAttribute('aria-label', 'Nom du site')
+
+        const cancel = document.createElement('button')
+        cancel.value = 'cancel'
+        cancel.textContent = 'Annuler'
+
+        const confirm = document.createElement('button')
+        confirm.value = 'confirm'
+        confirm.textContent = 'Confirmer'
+        confirm.disabled = true
+
+        input.addEventListener('input', function () {
+            confirm.disabled = this.value.trim() !== expected
+        })
+
+        // Confirm comes first so Enter only submits once the name is typed
+        const actions = document.createElement('div')
+        actions.className = 'actions'
+        actions.append(confirm, cancel)
+        form.append(title, message, input, actions)
+        dialog.appendChild(form)
+        shadow.append(styles, dialog)
+        document.documentElement.appendChild(host)
+
+        return new Promise((resolve) => {
+            dialog.addEventListener('close', function () {
+                host.remove()
+                resolve(dialog.returnValue === 'confirm')
+            })
+            dialog.showModal()
+            input.focus()
+        })
+    }
+
+    /**
+     * Intercepts clicks on guarded links and buttons
+     *
+     * @param {MouseEvent} event The click event
+     * @returns {void}
+     */
+    function handleClick(event) {
+        if (isConfirmed || !environment || !(event.target instanceof Element)) {
+            return
+        }
+
+        for (const action of getPageActions()) {
+            const element = event.target.closest(action.selectors.join(','))
+            if (!element) {
+                continue
+            }
+
+            event.preventDefault()
+            event.stopImmediatePropagation()
+            confirmAction(action).then(function (isAccepted) {
+                if (isAccepted) {
+                    replay(() => element.click())
+                }
+            })
+            return
+        }
+    }
+
+    /**
+     * Intercepts bulk action forms applying a guarded action
+     *
+     * @param {SubmitEvent} event The submit event
+     * @returns {void}
+     */
+    function handleSubmit(event) {
+        if (isConfirmed || !environment) {
+            return
+        }
+
+        const form = event.target
+        const submitter = event.submitter
+        const fieldName =
+            (submitter && CONFIG.bulkActionFields[submitter.id]) || 'action'
+        const field = form.elements ? form.elements[fieldName] : null
+        if (!field || typeof field.value !== 'string') {
+            return
+        }
+
+        const action = getPageActions().find((item) =>
+            item.bulkActions.includes(field.value)
+        )
+        if (!action) {
+            return
+        }
+
+        event.preventDefault()
+        event.stopImmediatePropagation()
+        confirmAction(action).then(function (isAccepted) {
+            if (isAccepted) {
+                replay(() => form.requestSubmit(submitter || null))
+            }
+        })
+    }
+
+    /**
+     * Runs a confirmed action without asking again
+     *
+     * @param {Function} callback Replays the action
+     * @returns {void}
+     */
+    function replay(callback) {
+        isConfirmed = true
+        try {
+            callback()
+        } finally {
+            isConfirmed = false
+        }
+    }
+
+    /**
+     * Returns the actions that can be guarded
+     *
+     * @returns {Array} The action identifiers and labels
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function getActions() {
+        return ACTIONS.map(({ id, label }) => ({ id, label }))
+    }
+
+    /**
+     * Guards the given actions of a production environment
+     * Pass a null environment to stop guarding
+     *
+     * @param {Object|null} productionEnvironment The production environment
+     * @param {Array} actionIds The identifiers of the guarded actions
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function update(productionEnvironment, actionIds) {
+        environment = productionEnvironment
+        guardedIds = actionIds
+
+        if (environment && !isListening) {
+            // Capture phase runs before the WordPress handlers
+            document.addEventListener('click', handleClick, true)
+            document.addEventListener('submit', handleSubmit, true)
+            isListening = true
+        }
+    }
+
+    root.WPEnvSafeguard = Object.freeze({
+        getActions,
+        update,
+    })
+})(globalThis)
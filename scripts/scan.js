@@ -0,0 +1,184 @@
+/**
+ * Cross-environment URL scan for WordPress Environment Indicator
+ * Finds the links and assets of the page pointing to another environment
+ * of the same project or to a development domain, e.g. after a database
+ * migration
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Scanned elements, grouped by type
+     */
+    const ELEMENT_TYPES = [
+        {
+            type: 'links',
+            label: 'Liens',
+            selector: 'a[href]',
+            attributes: ['href'],
+        },
+        {
+            type: 'images',
+            label: 'Images',
+            selector: 'img[src], img[srcset], picture source[srcset]',
+            attributes: ['src', 'srcset'],
+        },
+        {
+            type: 'scripts',
+            label: 'Scripts',
+            selector: 'script[src]',
+            attributes: ['src'],
+        },
+        {
+            type: 'stylesheets',
+            label: 'Feuilles de style',
+            selector: 'link[rel~="stylesheet"][href]',
+            attributes: ['href'],
+        },
+    ]
+
+    /**
+     * Returns the candidate URLs of a srcset
+     * A URL runs until whitespace and may hold commas, so the candidates
+     * are split after the descriptors, as browsers do (`a.jpg 1x,b.jpg 2x`)
+     *
+     * @param {string} value The srcset value
+     * @returns {Array<string>} The candidate URLs
+     */
+    function parseSrcset(value) {
+        const urls = []
+        const pattern = /[\s,]*(\S+)/y
+        let match
+        while ((match = pattern.exec(value))) {
+            let url = match[1]
+            if (/,+$/.test(url)) {
+                // No descriptor: the trailing commas end the candidate
+                url = url.replace(/,+$/, '')
+            } else {
+                // Skip the descriptors up to the next comma
+                const end = value.indexOf(',', pattern.lastIndex)
+                pattern.lastIndex = end === -1 ? value.length : end + 1
+            }
+            if (url) {
+                urls.push(url)
+            }
+        }
+        return urls
+    }
+
+    /**
+     * Returns the URLs of an attribute, reading each candidate of a srcset
+     *
+     * @param {Element} element The scanned element
+     * @param {string} attribute The attribute name
+     * @returns {Array<URL>} The absolute URLs
+     */
+    function getAttributeUrls(element, attribute) {
+        const value = element.getAttribute(attribute)
+        if (!value) {
+            return []
+        }
+
+        const candidates = attribute === 'srcset' ? parseSrcset(value) : [value]
+        const urls = []
+        for (const candidate of candidates) {
+            try {
+                const url = new URL(candidate, document.baseURI)
+                if (url.protocol === 'http:' || url.protocol === 'https:') {
+                    urls.push(url)
+                }
+            } catch (error) {
+                // Invalid URL, ignore
+            }
+        }
+        return urls
+    }
+
+    /**
+     * Finds the environment a URL points to, when it is not the current one
+     *
+     * @param {URL} url The URL to check
+     * @param {Object|null} current The project environment of the page
+     * @param {Object} types The environment types
+     * @returns {string|null} The name of the target or null
+     */
+    function findTarget(url, current, types) {
+        if (current) {
+            const match = WPEnvProjects.findProjectEnvironment(url.href, [
+                current.project,
+            ])
+            if (match && match.environment !== current.environment) {
+                const type = types[match.environment.type]
+                return `${type ? type.name : match.environment.type} (${
+                    current.project.name
+                })`
+            }
+        }
+
+        const tld = WPEnvDetector.CONFIG.developmentTlds.find((item) =>
+            url.hostname.endsWith(item)
+        )
+        if (tld && url.hostname !== window.location.hostname) {
+            return `Domaine de développement (${tld})`
+        }
+        return null
+    }
+
+    /**
+     * Scans the page for URLs pointing to another environment of the same
+     * project or to a development TLD
+     *
+     * @param {Object} settings The user settings (projects and types)
+     * @returns {Object} The `total` and the `groups` of each element type,
+     * with their `items` (`url` and `target`)
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function scan(settings) {
+        const current = WPEnvProjects.findProjectEnvironment(
+            window.location.href,
+            settings.projects
+        )
+        const types = WPEnvDetector.getEnvironmentTypes(settings)
+
+        const groups = []
+        for (const elementType of ELEMENT_TYPES) {
+            const items = []
+            const seen = new Set()
+            for (const element of document.querySelectorAll(
+                elementType.selector
+            )) {
+                for (const attribute of elementType.attributes) {
+                    for (const url of getAttributeUrls(element, attribute)) {
+                        const target = findTarget(url, current, types)
+                        if (target && !seen.has(url.href)) {
+                            seen.add(url.href)
+                            items.push({ url: url.href, target })
+                        }
+                    }
+                }
+            }
+
+            if (items.length) {
+                groups.push({
+                    type: elementType.type,
+                    label: elementType.label,
+                    items,
+                })
+            }
+        }
+
+        return {
+            total: groups.reduce(
+                (total, group) => total + group.items.length,
+                0
+            ),
+            groups,
+        }
+    }
+
+    root.WPEnvScan = Object.freeze({
+        scan,
+    })
+})(globalThis)
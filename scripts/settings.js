@@ -0,0 +1,393 @@
+/**
+ * Settings storage for WordPress Environment Indicator
+ * Shared by the content script, the service worker and the popup to read
+ * and write user settings from the extension storage
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Default values for every user setting
+     * Each key is stored as its own storage item, within the sync quota
+     */
+    const DEFAULTS = {
+        rules: [],
+        productionHosts: [],
+        stagingExclusions: [],
+        environmentTypes: [],
+        projects: [],
+        openLinksInNewTab: true,
+        overlays: {},
+        adminBarStyles: {},
+        tabTitlePrefix: true,
+        tabFavicon: true,
+        debugWarning: true,
+        guardedActions: [
+            'plugin-delete',
+            'plugin-deactivate',
+            'delete-permanently',
+            'empty-trash',
+            'theme-switch',
+            'updates',
+        ],
+    }
+
+    /**
+     * Identity of the items of list settings, used to merge the layers
+     */
+    const ITEM_KEYS = {
+        rules: (rule) => rule.id,
+        productionHosts: (host) => host,
+        stagingExclusions: (host) => host,
+        environmentTypes: (config) => config.type,
+        projects: (project) => project.id,
+    }
+
+    /**
+     * Storage areas holding settings, by decreasing precedence
+     * - managed: pushed by IT through an enterprise policy, read-only
+     * - sync: the user settings, synced across the user's browsers
+     * - local: the user settings saved before sync support
+     */
+    const LAYERS = ['managed', 'sync', 'local']
+
+    /**
+     * Size limit of a synced storage item, key included
+     * Longer lists are split across `rules`, `rules:1`, `rules:2`...
+     */
+    const SYNC_ITEM_BYTES = 8192
+
+    /**
+     * Local storage key of the last migration error
+     */
+    const MIGRATION_ERROR_KEY = 'settingsMigrationError'
+
+    /**
+     * Returns a fresh copy of the default settings
+     *
+     * @returns {Object} Default settings
+     */
+    function getDefaults() {
+        return structuredClone(DEFAULTS)
+    }
+
+    /**
+     * Returns the identity of an item of a list setting
+     *
+     * @param {string} key The setting key
+     * @param {*} item The list item
+     * @returns {string|null} The item identity, null for scalar settings
+     */
+    function getItemKey(key, item) {
+        return key in ITEM_KEYS ? ITEM_KEYS[key](item) : null
+    }
+
+    /**
+     * Returns the setting key of a storage key, chunk keys included
+     *
+     * @param {string} storageKey The storage key, e.g. `rules:2`
+     * @returns {string} The setting key, e.g. `rules`
+     */
+    function getSettingKey(storageKey) {
+        return storageKey.replace(/:\d+$/, '')
+    }
+
+    /**
+     * Returns the size of a storage item as counted by the sync quota
+     *
+     * @param {string} key The storage key
+     * @param {*} value The stored value
+     * @returns {number} The size in bytes
+     */
+    function getItemBytes(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length
+    }
+
+    /**
+     * Splits a list setting into storage items within the sync item quota
+     *
+     * @param {string} key The setting key
+     * @param {Array} list The list to store
+     * @returns {Object} The storage items, keyed by storage key
+     */
+    function splitChunks(key, list) {
+        const chunks = [[]]
+        for (const item of list) {
+            const chunk = chunks[chunks.length - 1]
+            const chunkKey =
+                chunks.length > 1 ? `${key}:${chunks.length - 1}` : key
+            if (
+                chunk.length > 0 &&
+                getItemBytes(chunkKey, [...chunk, item]) > SYNC_ITEM_BYTES
+            ) {
+                chunks.push([item])
+            } else {
+                chunk.push(item)
+            }
+        }
+
+        return Object.fromEntries(
+            chunks.map((chunk, index) => [
+                index ? `${key}:${index}` : key,
+                chunk,
+            ])
+        )
+    }
+
+    /**
+     * Reads the settings stored in one storage area, joining the chunks of
+     * the list settings
+     *
+     * @param {string} areaName The storage area
+     * @returns {Promise<Object>} The stored settings, without defaults
+     */
+    async function readLayer(areaName) {
+        let stored
+        try {
+            stored = await chrome.storage[areaName].get(null)
+        } catch (error) {
+            // Managed storage fails when no policy schema is available
+            return {}
+        }
+
+        const settings = {}
+        for (const key of Object.keys(DEFAULTS)) {
+            if (!(key in stored)) {
+                continue
+            }
+            settings[key] = stored[key]
+
+            let index = 1
+            while (
+                Array.isArray(settings[key]) &&
+                Array.isArray(stored[`${key}:${index}`])
+            ) {
+                settings[key] = settings[key].concat(stored[`${key}:${index}`])
+                index++
+            }
+        }
+        return settings
+    }
+
+    /**
+     * Merges settings layers, the first layer taking precedence
+     * Lists are concatenated in layer order, an item being dropped when a
+     * previous layer has an item with the same identity
+     *
+     * @param {Array} layers The settings layers
+     * @returns {Object} The merged settings
+     */
+    function mergeLayers(layers) {
+        const settings = getDefaults()
+
+        for (const key of Object.keys(DEFAULTS)) {
+            const values = layers
+                .filter((layer) => key in layer)
+                .map((layer) => layer[key])
+
+            if (!(key in ITEM_KEYS)) {
+                settings[key] = values.length > 0 ? values[0] : settings[key]
+                continue
+            }
+
+            const seen = new Set()
+            settings[key] = values
+                .filter(Array.isArray)
+                .flat()
+                .filter((item) => {
+                    const identity = getItemKey(key, item)
+                    if (seen.has(identity)) {
+                        return false
+                    }
+                    seen.add(identity)
+                    return true
+                })
+        }
+        return settings
+    }
+
+    /**
+     * Loads the settings pushed by IT through an enterprise policy
+     * Rules and projects without identifier get a stable one
+     *
+     * @returns {Promise<Object>} The managed settings, without defaults
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function loadManaged() {
+        const managed = await readLayer('managed')
+
+        for (const key of ['rules', 'projects']) {
+            if (Array.isArray(managed[key])) {
+                managed[key] = managed[key].map((item, index) => ({
+                    ...item,
+                    id: item.id || `managed-${key}-${index}`,
+                }))
+            }
+        }
+        return managed
+    }
+
+    /**
+     * Loads the settings the user can edit, falling back to defaults
+     *
+     * @returns {Promise<Object>} The user settings
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function loadUserSettings() {
+        const layers = await Promise.all([
+            readLayer('sync'),
+            readLayer('local'),
+        ])
+        return mergeLayers(layers)
+    }
+
+    /**
+     * Loads the settings used for detection: the managed settings merged
+     * with the user settings, falling back to defaults for missing keys
+     *
+     * @returns {Promise<Object>} The settings
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function load() {
+        const layers = await Promise.all([
+            loadManaged(),
+            readLayer('sync'),
+            readLayer('local'),
+        ])
+        return mergeLayers(layers)
+    }
+
+    /**
+     * Saves user settings to the synced storage, ignoring unknown keys
+     * Lists are split in chunks within the sync item quota, and the saved
+     * keys are removed from the local storage they replace
+     *
+     * @param {Object} settings The settings to save
+     * @returns {Promise<void>}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function save(settings) {
+        const keys = Object.keys(DEFAULTS).filter((key) => key in settings)
+        const values = {}
+        for (const key of keys) {
+            if (key in ITEM_KEYS && Array.isArray(settings[key])) {
+                Object.assign(values, splitChunks(key, settings[key]))
+            } else {
+                values[key] = settings[key]
+            }
+        }
+
+        // Chunks left over from a longer list
+        const stored = await chrome.storage.sync.get(null)
+        const staleChunks = Object.keys(stored).filter(
+            (storageKey) =>
+                storageKey !== getSettingKey(storageKey) &&
+                keys.includes(getSettingKey(storageKey)) &&
+                !(storageKey in values)
+        )
+
+        await chrome.storage.sync.set(values)
+        await chrome.storage.sync.remove(staleChunks)
+        await chrome.storage.local.remove(keys)
+    }
+
+    /**
+     * Moves the user settings saved before sync support to the synced
+     * storage, merged with the settings already synced
+     *
+     * @returns {Promise<void>}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function migrate() {
+        const local = await readLayer('local')
+        if (Object.keys(local).length === 0) {
+            return
+        }
+
+        const synced = await readLayer('sync')
+        const settings = mergeLayers([synced, local])
+        try {
+            await save(
+                Object.fromEntries(
+                    Object.keys(local).map((key) => [key, settings[key]])
+                )
+            )
+            await chrome.storage.local.remove(MIGRATION_ERROR_KEY)
+        } catch (error) {
+            // The local settings stay in use, the Settings tab shows why
+            await chrome.storage.local.set({
+                [MIGRATION_ERROR_KEY]: error.message,
+            })
+            throw error
+        }
+    }
+
+    /**
+     * Returns why the last migration to the synced storage failed, while
+     * settings are still left in the local storage
+     *
+     * @returns {Promise<string|null>} The error message or null
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    async function getMigrationError() {
+        const [local, stored] = await Promise.all([
+            readLayer('local'),
+            chrome.storage.local.get(MIGRATION_ERROR_KEY),
+        ])
+        return Object.keys(local).length > 0
+            ? stored[MIGRATION_ERROR_KEY] || null
+            : null
+    }
+
+    /**
+     * Calls back whenever a setting changes in any layer
+     *
+     * @param {Function} callback Called with the changed setting keys
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function onChanged(callback) {
+        chrome.storage.onChanged.addListener(function (changes, areaName) {
+            if (!LAYERS.includes(areaName)) {
+                return
+            }
+
+            const keys = Array.from(
+                new Set(Object.keys(changes).map(getSettingKey))
+            ).filter((key) => key in DEFAULTS)
+            if (keys.length > 0) {
+                callback(keys)
+            }
+        })
+    }
+
+    /**
+     * Creates a unique identifier for a list item (rule, project...)
+     *
+     * @returns {string} A unique identifier
+     */
+    function createId() {
+        return crypto.randomUUID()
+    }
+
+    root.WPEnvSettings = Object.freeze({
+        getDefaults,
+        getItemKey,
+        load,
+        loadManaged,
+        loadUserSettings,
+        save,
+        migrate,
+        getMigrationError,
+        onChanged,
+        createId,
+    })
+})(globalThis)
@@ -0,0 +1,260 @@
+/**
+ * Stack detection for WordPress Environment Indicator
+ * Reads the asset URLs and body classes of the page to list the active
+ * frontend plugins, the theme and the known builders, shops and caches
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Known technologies, recognized by plugin slug, theme slug, body class,
+     * asset path or asset host
+     */
+    const TECHNOLOGIES = [
+        {
+            name: 'WooCommerce',
+            category: 'commerce',
+            plugins: ['woocommerce'],
+            bodyClasses: ['woocommerce', 'woocommerce-page'],
+        },
+        {
+            name: 'Elementor',
+            category: 'builder',
+            plugins: ['elementor', 'elementor-pro'],
+            bodyClasses: ['elementor-default', 'elementor-page'],
+        },
+        {
+            name: 'Divi',
+            category: 'builder',
+            plugins: ['divi-builder'],
+            themes: ['Divi', 'Extra'],
+            bodyClasses: ['et_divi_builder', 'et_pb_pagebuilder_layout'],
+        },
+        {
+            name: 'Beaver Builder',
+            category: 'builder',
+            plugins: ['bb-plugin', 'beaver-builder-lite-version'],
+            bodyClasses: ['fl-builder'],
+        },
+        {
+            name: 'WP Rocket',
+            category: 'cache',
+            plugins: ['wp-rocket'],
+            paths: ['/wp-content/cache/min/', '/wp-content/cache/busting/'],
+        },
+        {
+            name: 'Autoptimize',
+            category: 'cache',
+            plugins: ['autoptimize'],
+            paths: ['/wp-content/cache/autoptimize/'],
+        },
+        {
+            name: 'W3 Total Cache',
+            category: 'cache',
+            plugins: ['w3-total-cache'],
+            paths: ['/wp-content/cache/minify/'],
+        },
+        {
+            name: 'WP Fastest Cache',
+            category: 'cache',
+            plugins: ['wp-fastest-cache'],
+            paths: ['/wp-content/cache/wpfc-minified/'],
+        },
+        {
+            name: 'LiteSpeed Cache',
+            category: 'cache',
+            plugins: ['litespeed-cache'],
+            paths: ['/wp-content/litespeed/'],
+        },
+        {
+            name: 'SiteGround Optimizer',
+            category: 'cache',
+            plugins: ['sg-cachepress'],
+            paths: ['/siteground-optimizer-assets/'],
+        },
+        {
+            name: 'Jetpack CDN',
+            category: 'cdn',
+            hosts: ['i0.wp.com', 'i1.wp.com', 'i2.wp.com', 'c0.wp.com'],
+        },
+        {
+            name: 'Cloudflare',
+            category: 'cdn',
+            paths: ['/cdn-cgi/'],
+        },
+    ]
+
+    /**
+     * Stack detection configuration
+     */
+    const CONFIG = {
+        assetSelector: 'script[src], link[href], img[src]',
+        stylesheetSelector: 'link[rel="stylesheet"][href]',
+        patterns: {
+            plugin: /\/wp-content\/plugins\/([^/?#]+)\//,
+            theme: /\/wp-content\/themes\/([^/?#]+)\//,
+            childTheme: /child/i,
+            wordpressAsset: /\/wp-(?:content|includes)\//,
+        },
+    }
+
+    /**
+     * Returns the absolute URLs of the page assets
+     *
+     * @returns {Array<URL>} The asset URLs
+     */
+    function getAssetUrls() {
+        const urls = []
+        for (const element of document.querySelectorAll(CONFIG.assetSelector)) {
+            try {
+                urls.push(
+                    new URL(
+                        element.getAttribute('src') ||
+                            element.getAttribute('href'),
+                        document.baseURI
+                    )
+                )
+            } catch (error) {
+                // Invalid URL, ignore
+            }
+        }
+        return urls
+    }
+
+    /**
+     * Collects the unique slugs matched by a pattern, in page order
+     *
+     * @param {Array<string>} urls The URLs to read
+     * @param {RegExp} pattern The pattern capturing the slug
+     * @returns {Array<string>} The slugs
+     */
+    function collectSlugs(urls, pattern) {
+        const slugs = []
+        for (const url of urls) {
+            const match = url.match(pattern)
+            if (match && !slugs.includes(match[1])) {
+                slugs.push(match[1])
+            }
+        }
+        return slugs
+    }
+
+    /**
+     * Tells the active theme from its parent when a child theme is used
+     * WordPress loads the parent stylesheet before the child one, and child
+     * themes are usually named after them
+     *
+     * @returns {Object|null} The `name` and `parent` of the theme, or null
+     */
+    function detectTheme() {
+        const stylesheets = Array.from(
+            document.querySelectorAll(CONFIG.stylesheetSelector),
+            (link) => link.href
+        )
+        const themes = collectSlugs(stylesheets, CONFIG.patterns.theme)
+        if (themes.length === 0) {
+            return null
+        }
+        if (themes.length === 1) {
+            return { name: themes[0], parent: null }
+        }
+
+        const child =
+            themes.find((slug) => CONFIG.patterns.childTheme.test(slug)) ||
+            themes[themes.length - 1]
+        return {
+            name: child,
+            parent: themes.find((slug) => slug !== child),
+        }
+    }
+
+    /**
+     * Checks if a technology is used by the page
+     *
+     * @param {Object} technology The technology
+     * @param {Object} page The plugins, themes, asset URLs and body classes
+     * @returns {boolean} True if one of its signatures matches
+     */
+    function isTechnologyUsed(technology, page) {
+        return (
+            (technology.plugins || []).some((slug) =>
+                page.plugins.includes(slug)
+            ) ||
+            (technology.themes || []).some((slug) =>
+                page.themes.includes(slug)
+            ) ||
+            (technology.bodyClasses || []).some((className) =>
+                page.bodyClasses.contains(className)
+            ) ||
+            page.urls.some(
+                (url) =>
+                    (technology.paths || []).some((path) =>
+                        url.pathname.includes(path)
+                    ) || (technology.hosts || []).includes(url.hostname)
+            )
+        )
+    }
+
+    /**
+     * Returns the hosts serving WordPress assets instead of the site, e.g.
+     * a CDN rewriting `wp-content` URLs
+     *
+     * @param {Array<URL>} urls The asset URLs
+     * @returns {Array<string>} The asset hosts
+     */
+    function getAssetHosts(urls) {
+        const knownHosts = TECHNOLOGIES.flatMap((item) => item.hosts || [])
+        const hosts = []
+        for (const url of urls) {
+            if (
+                url.hostname !== window.location.hostname &&
+                CONFIG.patterns.wordpressAsset.test(url.pathname) &&
+                !knownHosts.includes(url.hostname) &&
+                !hosts.includes(url.hostname)
+            ) {
+                hosts.push(url.hostname)
+            }
+        }
+        return hosts
+    }
+
+    /**
+     * Detects the plugins, theme and technologies of the page
+     *
+     * @returns {Object} The `plugins` slugs, the `theme` and the
+     * `technologies` with their `name` and `category`
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function detect() {
+        const urls = getAssetUrls()
+        const hrefs = urls.map((url) => url.href)
+        const theme = detectTheme()
+        const page = {
+            urls,
+            plugins: collectSlugs(hrefs, CONFIG.patterns.plugin),
+            themes: collectSlugs(hrefs, CONFIG.patterns.theme),
+            bodyClasses: document.body
+                ? document.body.classList
+                : document.documentElement.classList,
+        }
+
+        const technologies = TECHNOLOGIES.filter((technology) =>
+            isTechnologyUsed(technology, page)
+        ).map(({ name, category }) => ({ name, category }))
+        for (const host of getAssetHosts(urls)) {
+            technologies.push({ name: host, category: 'cdn' })
+        }
+
+        return {
+            plugins: page.plugins.sort(),
+            theme,
+            technologies,
+        }
+    }
+
+    root.WPEnvStack = Object.freeze({
+        detect,
+    })
+})(globalThis)
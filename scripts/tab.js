@@ -0,0 +1,277 @@
+/**
+ * Tab indicators for WordPress Environment Indicator
+ * Prefixes the page title and tints the favicon so the environment can be
+ * told apart among many open tabs
+ */
+
+;(function (root) {
+    'use strict'
+
+    /**
+     * Tab indicators configuration
+     */
+    const CONFIG = {
+        faviconSize: 32,
+        faviconSelector: 'link[rel~="icon"]',
+        faviconAttribute: 'data-wp-env-favicon',
+        defaultFavicon: '/favicon.ico',
+    }
+
+    // Environment and options currently applied, null when reset
+    let current = null
+
+    // Prefix currently added to the title
+    let appliedPrefix = ''
+
+    // Favicon links of the page, removed while the tinted one is shown
+    let originalFavicons = []
+
+    // Data URL of the tinted favicon
+    let faviconUrl = null
+
+    // Watches the head for title and favicon changes made by the page
+    let observer = null
+
+    /**
+     * Returns the title prefix of an environment, e.g. `[STG] `
+     *
+     * @param {Object} environment The environment object
+     * @returns {string} The title prefix
+     */
+    function getTitlePrefix(environment) {
+        const text = environment.badgeText || environment.name
+        return `[${text.toUpperCase()}] `
+    }
+
+    /**
+     * Adds the environment prefix to the title, replacing a previous one
+     *
+     * @returns {void}
+     */
+    function applyTitle() {
+        const prefix =
+            current && current.options.title
+                ? getTitlePrefix(current.environment)
+                : ''
+        let title = document.title
+
+        if (appliedPrefix && title.startsWith(appliedPrefix)) {
+            title = title.slice(appliedPrefix.length)
+        }
+        appliedPrefix = prefix
+
+        if (document.title !== prefix + title) {
+            document.title = prefix + title
+        }
+    }
+
+    /**
+     * Loads an image, resolving null when it cannot be used on a canvas
+     *
+     * @param {string} url The image URL
+     * @returns {Promise<HTMLImageElement|null>} The loaded image or null
+     */
+    function loadImage(url) {
+        return new Promise((resolve) => {
+            const image = new Image()
+            image.crossOrigin = 'anonymous'
+            image.onload = () => resolve(image)
+            image.onerror = () => resolve(null)
+            image.src = url
+        })
+    }
+
+    /**
+     * Draws the favicon of an environment
+     * The page favicon gets a colored dot, or a colored square with the
+     * badge initial replaces it when it cannot be drawn
+     *
+     * @param {Object} environment The environment object
+     * @param {HTMLImageElement|null} image The page favicon
+     * @returns {string|null} The favicon data URL or null
+     */
+    function drawFavicon(environment, image) {
+        const size = CONFIG.faviconSize
+        const canvas = document.createElement('canvas')
+        canvas.width = size
+        canvas.height = size
+        const context = canvas.getContext('2d')
+        if (!context) {
+            return null
+        }
+
+        try {
+            if (image) {
+                context.drawImage(image, 0, 0, size, size)
+                context.beginPath()
+                context.arc(
+                    size * 0.72,
+                    size * 0.72,
+                    size * 0.28,
+                    0,
+                    Math.PI * 2
+                )
+                context.fillStyle = environment.color
+                context.fill()
+                context.lineWidth = size / 16
+                context.strokeStyle = '#ffffff'
+                context.stroke()
+            } else {
+                context.fillStyle = environment.color
+                context.beginPath()
+                context.roundRect(0, 0, size, size, size / 6)
+                context.fill()
+                context.fillStyle = environment.textColor
+                context.font = `bold ${size * 0.6}px sans-serif`
+                context.textAlign = 'center'
+                context.textBaseline = 'middle'
+                context.fillText(
+                    (environment.badgeText || environment.name)
+                        .charAt(0)
+                        .toUpperCase(),
+                    size / 2,
+                    size / 2 + 1
+                )
+            }
+            return canvas.toDataURL('image/png')
+        } catch (error) {
+            // A cross-origin favicon taints the canvas
+            return image ? drawFavicon(environment, null) : null
+        }
+    }
+
+    /**
+     * Replaces the page favicons with the tinted one
+     *
+     * @returns {void}
+     */
+    function showFavicon() {
+        const links = document.querySelectorAll(
+            `${CONFIG.faviconSelector}:not([${CONFIG.faviconAttribute}])`
+        )
+        for (const link of links) {
+            originalFavicons.push(link)
+            link.remove()
+        }
+
+        if (!document.querySelector(`[${CONFIG.faviconAttribute}]`)) {
+            const link = document.createElement('link')
+            link.rel = 'icon'
+            link.href = faviconUrl
+            link.setAttribute(CONFIG.faviconAttribute, '')
+            document.head.appendChild(link)
+        }
+    }
+
+    /**
+     * Restores the page favicons
+     *
+     * @returns {void}
+     */
+    function restoreFavicon() {
+        const tinted = document.querySelector(`[${CONFIG.faviconAttribute}]`)
+        if (tinted) {
+            tinted.remove()
+        }
+        document.head.append(...originalFavicons)
+        originalFavicons = []
+        faviconUrl = null
+    }
+
+    /**
+     * Draws and shows the favicon of the current environment
+     *
+     * @returns {Promise<void>}
+     */
+    async function applyFavicon() {
+        restoreFavicon()
+        if (!current || !current.options.favicon) {
+            return
+        }
+
+        const applied = current
+        const link = document.querySelector(CONFIG.faviconSelector)
+        const image = await loadImage(link ? link.href : CONFIG.defaultFavicon)
+
+        // Another environment may have been applied meanwhile
+        if (applied !== current) {
+            return
+        }
+
+        faviconUrl = drawFavicon(current.environment, image)
+        if (faviconUrl) {
+            showFavicon()
+        }
+    }
+
+    /**
+     * Keeps the indicators when the page changes its title or favicon
+     *
+     * @returns {void}
+     */
+    function observeHead() {
+        if (observer || !document.head) {
+            return
+        }
+
+        observer = new MutationObserver(function () {
+            if (!current) {
+                return
+            }
+            if (current.options.title) {
+                applyTitle()
+            }
+            if (faviconUrl) {
+                showFavicon()
+            }
+        })
+        observer.observe(document.head, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+        })
+    }
+
+    /**
+     * Shows the environment in the tab title and favicon
+     * Safe to call again, e.g. after a navigation or a settings change
+     *
+     * @param {Object} environment The environment object
+     * @param {Object} options The indicators to show
+     * @param {boolean} options.title Whether to prefix the title
+     * @param {boolean} options.favicon Whether to tint the favicon
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function apply(environment, options) {
+        const isSame =
+            current &&
+            JSON.stringify(current) === JSON.stringify({ environment, options })
+
+        current = { environment, options }
+        applyTitle()
+        if (!isSame) {
+            applyFavicon()
+        }
+        observeHead()
+    }
+
+    /**
+     * Restores the page title and favicon
+     *
+     * @returns {void}
+     * @since 0.2
+     * @author Raphael Sanchez <hello@raphaelsanchez.design>
+     */
+    function reset() {
+        current = null
+        applyTitle()
+        restoreFavicon()
+    }
+
+    root.WPEnvTab = Object.freeze({
+        apply,
+        reset,
+    })
+})(globalThis)